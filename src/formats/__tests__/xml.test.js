@@ -0,0 +1,22 @@
+const { ApiError } = require('../../middleware/error.middleware');
+const { unescapeXml } = require('../xml');
+const gpx = require('../gpx');
+
+describe('unescapeXml', () => {
+    test('decodes numeric and named references', () => {
+        expect(unescapeXml('&#x41;&#66;&lt;&amp;lt;')).toBe('AB<&lt;');
+    });
+
+    test.each(['&#x110000;', '&#99999999;'])('rejects the out-of-range reference %s', (reference) => {
+        expect(() => unescapeXml(reference)).toThrow(ApiError);
+        expect(() => unescapeXml(reference)).toThrow(`Invalid character reference ${reference}`);
+    });
+});
+
+describe('gpx.parse', () => {
+    test('reports an out-of-range reference as a client error', () => {
+        const file = '<gpx><trk><trkseg><trkpt lat="52.5" lon="13.4"><time>&#x110000;</time></trkpt></trkseg></trk></gpx>';
+
+        expect(() => gpx.parse(file)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
@@ -0,0 +1,152 @@
+const { ApiError } = require('../middleware/error.middleware');
+const { pipeCursor } = require('../utils/stream');
+
+const COLUMNS = ['timestamp', 'longitude', 'latitude', 'altitude', 'speed', 'accuracy', 'receivedAt', 'metadata'];
+
+// Header names accepted on import for each fix field
+const COLUMN_ALIASES = {
+    timestamp: ['timestamp', 'time', 'datetime', 'date_time'],
+    longitude: ['longitude', 'lon', 'lng', 'long'],
+    latitude: ['latitude', 'lat'],
+    altitude: ['altitude', 'alt', 'ele', 'elevation'],
+    speed: ['speed'],
+    accuracy: ['accuracy'],
+    metadata: ['metadata']
+};
+// Columns written by the export that are not part of a fix
+const IGNORED_COLUMNS = ['receivedat'];
+
+// Quote a value when it contains a delimiter, quote or line break (RFC 4180)
+function escapeCsv(value) {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function row(location) {
+    const [lng, lat] = location.location.coordinates;
+    const metadata = location.metadata && Object.keys(location.metadata).length > 0 ?
+        JSON.stringify(location.metadata) :
+        '';
+
+    return [
+        location.timestamp,
+        lng,
+        lat,
+        location.altitude,
+        location.speed,
+        location.accuracy,
+        location.receivedAt,
+        metadata
+    ].map(escapeCsv).join(',') + '\r\n';
+}
+
+async function write(res, openCursor) {
+    res.write(COLUMNS.join(',') + '\r\n');
+    await pipeCursor(openCursor(), res, row);
+}
+
+// Split CSV text into rows of fields, honouring quoted fields (RFC 4180)
+function splitRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Read a CSV file with a header row into location fixes. Columns other than
+// the known fix fields are kept as metadata.
+function parse(text) {
+    const [header, ...rows] = splitRows(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        throw new ApiError(400, 'CSV file is empty');
+    }
+
+    const names = header.map(name => name.trim().toLowerCase());
+    const columnOf = (field) => names.findIndex(name => COLUMN_ALIASES[field].includes(name));
+    const columns = Object.fromEntries(Object.keys(COLUMN_ALIASES).map(field => [field, columnOf(field)]));
+
+    if (columns.longitude === -1 || columns.latitude === -1) {
+        throw new ApiError(400, 'CSV header must include longitude and latitude columns');
+    }
+
+    const known = new Set(Object.values(columns));
+    const extra = names
+        .map((name, index) => ({ name: header[index].trim(), index }))
+        .filter(({ name, index }) => !known.has(index) && name && !IGNORED_COLUMNS.includes(name.toLowerCase()));
+
+    return rows.map(fields => {
+        const value = (field) => {
+            const text = columns[field] === -1 ? undefined : fields[columns[field]];
+            return text === undefined || text.trim() === '' ? undefined : text.trim();
+        };
+
+        // Unparseable metadata is passed through as text so validation rejects the row
+        let metadata = value('metadata') || {};
+        try {
+            if (typeof metadata === 'string') metadata = JSON.parse(metadata);
+        } catch (error) {
+            // left as text
+        }
+        if (metadata && typeof metadata === 'object') {
+            for (const { name, index } of extra) {
+                if (fields[index] !== undefined && fields[index].trim() !== '') {
+                    metadata[name] = fields[index].trim();
+                }
+            }
+        }
+
+        return {
+            coordinates: [value('longitude'), value('latitude')],
+            altitude: value('altitude'),
+            speed: value('speed'),
+            accuracy: value('accuracy'),
+            timestamp: value('timestamp'),
+            metadata: !metadata || typeof metadata !== 'object' || Object.keys(metadata).length > 0 ? metadata : undefined
+        };
+    });
+}
+
+module.exports = {
+    contentType: 'text/csv',
+    extension: 'csv',
+    // Upload Content-Types recognised on import
+    mediaTypes: ['text/csv'],
+    COLUMNS,
+    write,
+    parse
+};
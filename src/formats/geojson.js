@@ -0,0 +1,101 @@
+const { ApiError } = require('../middleware/error.middleware');
+const { pipeCursor } = require('../utils/stream');
+
+const toFeature = (location) => ({
+    type: 'Feature',
+    geometry: {
+        type: 'Point',
+        coordinates: location.altitude !== undefined ?
+            [...location.location.coordinates, location.altitude] :
+            location.location.coordinates
+    },
+    properties: {
+        timestamp: location.timestamp,
+        receivedAt: location.receivedAt,
+        speed: location.speed,
+        accuracy: location.accuracy,
+        metadata: location.metadata
+    }
+});
+
+// FeatureCollection of point features, streamed one feature at a time
+async function write(res, openCursor, meta) {
+    res.write(`{"type":"FeatureCollection","properties":${JSON.stringify({ deviceId: meta.deviceId, name: meta.name })},"features":[\n`);
+
+    let first = true;
+    const completed = await pipeCursor(openCursor(), res, (location) => {
+        const prefix = first ? '' : ',\n';
+        first = false;
+        return prefix + JSON.stringify(toFeature(location));
+    });
+    if (!completed) return;
+
+    res.write('\n]}\n');
+}
+
+const fromPosition = (position, properties, timestamp) => ({
+    coordinates: Array.isArray(position) ? position.slice(0, 2) : position,
+    altitude: Array.isArray(position) && position.length > 2 ? position[2] : properties.altitude,
+    speed: properties.speed,
+    accuracy: properties.accuracy,
+    timestamp,
+    metadata: properties.metadata
+});
+
+// Point features become one fix each; LineString and MultiLineString features
+// need per-vertex times in properties.coordTimes (as written by togeojson)
+function featureFixes(feature) {
+    const { geometry } = feature;
+    const properties = feature.properties || {};
+    if (!geometry) return [];
+
+    if (geometry.type === 'Point') {
+        return [fromPosition(geometry.coordinates, properties, properties.timestamp || properties.time)];
+    }
+
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates] :
+        geometry.type === 'MultiLineString' ? geometry.coordinates :
+        [];
+    const times = geometry.type === 'LineString' ? [properties.coordTimes] : properties.coordTimes;
+
+    return lines.flatMap((line, lineIndex) => (Array.isArray(line) ? line : []).map((position, index) => {
+        const lineTimes = Array.isArray(times) && Array.isArray(times[lineIndex]) ? times[lineIndex] : [];
+        return fromPosition(position, {}, lineTimes[index]);
+    }));
+}
+
+// Read a FeatureCollection, Feature or bare geometry into location fixes
+function parse(input) {
+    let json = input;
+    if (typeof input === 'string') {
+        try {
+            json = JSON.parse(input);
+        } catch (error) {
+            throw new ApiError(400, 'File is not valid JSON');
+        }
+    }
+
+    if (!json || typeof json !== 'object') {
+        throw new ApiError(400, 'File is not a GeoJSON document');
+    }
+
+    if (json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+        return json.features.flatMap(feature => featureFixes(feature || {}));
+    }
+    if (json.type === 'Feature') {
+        return featureFixes(json);
+    }
+    if (json.type && json.coordinates) {
+        return featureFixes({ geometry: json });
+    }
+    throw new ApiError(400, 'File is not a GeoJSON document');
+}
+
+module.exports = {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    // Upload Content-Types recognised on import
+    mediaTypes: ['application/geo+json', 'application/json'],
+    write,
+    parse
+};
@@ -0,0 +1,71 @@
+const { ApiError } = require('../middleware/error.middleware');
+const { pipeCursor } = require('../utils/stream');
+const { escapeXml, unescapeXml, readAttribute, readElement } = require('./xml');
+
+const POINT_PATTERN = /<(trkpt|rtept|wpt)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+const META_PATTERN = /<meta\b([^>]*)>([\s\S]*?)<\/meta>/g;
+
+// Speed, accuracy and metadata have no GPX 1.1 element and go into extensions
+function trackPoint(location) {
+    const [lng, lat] = location.location.coordinates;
+    const extensions = [];
+    if (location.speed !== undefined) extensions.push(`<speed>${location.speed}</speed>`);
+    if (location.accuracy !== undefined) extensions.push(`<accuracy>${location.accuracy}</accuracy>`);
+    for (const [key, value] of Object.entries(location.metadata || {})) {
+        extensions.push(`<meta key="${escapeXml(key)}">${escapeXml(value)}</meta>`);
+    }
+
+    return `      <trkpt lat="${lat}" lon="${lng}">` +
+        (location.altitude !== undefined ? `<ele>${location.altitude}</ele>` : '') +
+        `<time>${new Date(location.timestamp).toISOString()}</time>` +
+        (extensions.length > 0 ? `<extensions>${extensions.join('')}</extensions>` : '') +
+        '</trkpt>\n';
+}
+
+async function write(res, openCursor, meta) {
+    res.write('<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<gpx version="1.1" creator="Location Tracker API" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+        `  <metadata><name>${escapeXml(meta.name)}</name><time>${new Date().toISOString()}</time></metadata>\n` +
+        `  <trk>\n    <name>${escapeXml(meta.name)}</name>\n    <src>${escapeXml(meta.deviceId)}</src>\n    <trkseg>\n`);
+
+    if (!await pipeCursor(openCursor(), res, trackPoint)) return;
+
+    res.write('    </trkseg>\n  </trk>\n</gpx>\n');
+}
+
+// Read track, route and waypoint points into location fixes. Speed and
+// accuracy are taken from extensions written by this API (or Garmin's
+// TrackPointExtension speed); values are left as text for validation.
+function parse(text) {
+    if (!/<gpx\b/.test(text)) {
+        throw new ApiError(400, 'File is not a GPX document');
+    }
+
+    const fixes = [];
+    for (const [, , attributes, body = ''] of text.matchAll(POINT_PATTERN)) {
+        const metadata = {};
+        for (const [, metaAttributes, value] of body.matchAll(META_PATTERN)) {
+            const key = readAttribute(metaAttributes, 'key');
+            if (key) metadata[key] = unescapeXml(value);
+        }
+
+        fixes.push({
+            coordinates: [readAttribute(attributes, 'lon'), readAttribute(attributes, 'lat')],
+            altitude: readElement(body, 'ele'),
+            speed: readElement(body, 'speed'),
+            accuracy: readElement(body, 'accuracy'),
+            timestamp: readElement(body, 'time'),
+            metadata: Object.keys(metadata).length > 0 ? metadata : undefined
+        });
+    }
+    return fixes;
+}
+
+module.exports = {
+    contentType: 'application/gpx+xml',
+    extension: 'gpx',
+    // Upload Content-Types recognised on import
+    mediaTypes: ['application/gpx+xml', 'application/xml', 'text/xml'],
+    write,
+    parse
+};
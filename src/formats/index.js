@@ -0,0 +1,12 @@
+const gpx = require('./gpx');
+const kml = require('./kml');
+const geojson = require('./geojson');
+const csv = require('./csv');
+
+// Track file formats by name
+module.exports = {
+    gpx,
+    kml,
+    geojson,
+    csv
+};
@@ -0,0 +1,52 @@
+const { pipeCursor } = require('../utils/stream');
+const { escapeXml } = require('./xml');
+
+const coordinates = (location) => {
+    const [lng, lat] = location.location.coordinates;
+    return `${lng} ${lat} ${location.altitude || 0}`;
+};
+
+// Time-stamped track that Google Earth can animate
+const trackEntry = (location) =>
+    `        <when>${new Date(location.timestamp).toISOString()}</when><gx:coord>${coordinates(location)}</gx:coord>\n`;
+
+// One placemark per fix carrying speed, accuracy and metadata
+function fixPlacemark(location) {
+    const data = [['speed', location.speed], ['accuracy', location.accuracy], ['altitude', location.altitude]]
+        .concat(Object.entries(location.metadata || {}))
+        .filter(([, value]) => value !== undefined)
+        .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+
+    return '      <Placemark>' +
+        `<TimeStamp><when>${new Date(location.timestamp).toISOString()}</when></TimeStamp>` +
+        '<styleUrl>#fix</styleUrl>' +
+        (data ? `<ExtendedData>${data}</ExtendedData>` : '') +
+        `<Point><altitudeMode>absolute</altitudeMode><coordinates>${coordinates(location).replace(/ /g, ',')}</coordinates></Point>` +
+        '</Placemark>\n';
+}
+
+// The track and the fixes are written in two passes over the history so
+// nothing has to be buffered in memory
+async function write(res, openCursor, meta) {
+    res.write('<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+        `  <Document>\n    <name>${escapeXml(meta.name)}</name>\n` +
+        '    <Style id="fix"><IconStyle><scale>0.4</scale></IconStyle><LabelStyle><scale>0</scale></LabelStyle></Style>\n' +
+        `    <Placemark>\n      <name>${escapeXml(meta.name)} track</name>\n` +
+        '      <gx:Track>\n        <altitudeMode>absolute</altitudeMode>\n');
+
+    if (!await pipeCursor(openCursor(), res, trackEntry)) return;
+
+    res.write('      </gx:Track>\n    </Placemark>\n    <Folder>\n      <name>Fixes</name>\n');
+
+    if (!await pipeCursor(openCursor(), res, fixPlacemark)) return;
+
+    res.write('    </Folder>\n  </Document>\n</kml>\n');
+}
+
+module.exports = {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    write
+};
@@ -0,0 +1,42 @@
+const { ApiError } = require('../middleware/error.middleware');
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+const MAX_CODE_POINT = 0x10FFFF;
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+
+// Character of a numeric character reference; references beyond Unicode are
+// malformed XML
+function fromCharacterReference(reference, codePoint) {
+    if (codePoint > MAX_CODE_POINT) {
+        throw new ApiError(400, `Invalid character reference ${reference}`);
+    }
+    return String.fromCodePoint(codePoint);
+}
+
+const unescapeXml = (value) => value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => fromCharacterReference(match, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => fromCharacterReference(match, parseInt(code, 10)))
+    .replace(/&(lt|gt|quot|apos);/g, (match, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'" })[name])
+    .replace(/&amp;/g, '&');
+
+// Read an attribute from the attribute string of an element
+function readAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+    return match ? unescapeXml(match[1] !== undefined ? match[1] : match[2]) : undefined;
+}
+
+// Text content of the first child element with the given local name (any namespace prefix)
+function readElement(xml, name) {
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`));
+    return match ? unescapeXml(match[1].trim()) : undefined;
+}
+
+module.exports = {
+    escapeXml,
+    unescapeXml,
+    readAttribute,
+    readElement
+};
@@ -3,6 +3,39 @@ const { ApiError } = require('./error.middleware');
 const Device = require('../models/device.model');
 const User = require('../models/user.model');
 
+// Verify a JWT and check that its user still exists and is active. Resolves
+// with the user info attached to requests as req.user.
+const verifyUserToken = async (token) => {
+    try {
+        // Verify token
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Find user and check if still exists and active
+        const user = await User.findById(decoded.userId);
+        if (!user || !user.isActive) {
+            throw new ApiError(401, 'User not found or inactive');
+        }
+
+        return {
+            userId: user._id,
+            username: user.username,
+            role: user.role
+        };
+    } catch (error) {
+        throw new ApiError(401, 'Invalid token');
+    }
+};
+
+// Device IDs a user may access, or null for admins who can access every device
+const getDeviceAccess = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new ApiError(401, 'User not found or inactive');
+    }
+
+    return user.role === 'admin' ? null : user.devices;
+};
+
 const authenticateUser = async (req, res, next) => {
     try {
         // Check for JWT token in headers
@@ -11,66 +44,48 @@ const authenticateUser = async (req, res, next) => {
             throw new ApiError(401, 'No token provided');
         }
 
-        const token = authHeader.split(' ')[1];
-        
-        try {
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            
-            // Find user and check if still exists and active
-            const user = await User.findById(decoded.userId);
-            if (!user || !user.isActive) {
-                throw new ApiError(401, 'User not found or inactive');
-            }
-
-            // Attach user info to request
-            req.user = {
-                userId: user._id,
-                username: user.username,
-                role: user.role
-            };
-            
-            next();
-        } catch (error) {
-            throw new ApiError(401, 'Invalid token');
-        }
+        // Attach user info to request
+        req.user = await verifyUserToken(authHeader.split(' ')[1]);
+        next();
     } catch (error) {
         next(error);
     }
 };
 
-const authenticateDevice = async (req, res, next) => {
-    try {
-        // Check for API key in headers
-        const apiKey = req.headers['x-api-key'];
-        if (!apiKey) {
-            throw new ApiError(401, 'No API key provided');
-        }
+// Check a device's credentials and that it is active; resolves with the device.
+// Shared by the HTTP routes and the persistent device channels.
+const verifyDeviceCredentials = async (deviceId, apiKey) => {
+    if (!apiKey) {
+        throw new ApiError(401, 'No API key provided');
+    }
 
-        // Find device by deviceId in header
-        const deviceId = req.headers['x-device-id'];
-        if (!deviceId) {
-            throw new ApiError(401, 'No device ID provided');
-        }
+    if (!deviceId) {
+        throw new ApiError(401, 'No device ID provided');
+    }
 
-        // Verify device exists and API key is valid
-        const device = await Device.findOne({ deviceId });
-        if (!device) {
-            throw new ApiError(404, 'Device not found');
-        }
+    // Verify device exists and API key is valid
+    const device = await Device.findOne({ deviceId });
+    if (!device) {
+        throw new ApiError(404, 'Device not found');
+    }
 
-        const isValid = await device.verifyApiKey(apiKey);
-        if (!isValid) {
-            throw new ApiError(401, 'Invalid API key');
-        }
+    const isValid = await device.verifyApiKey(apiKey);
+    if (!isValid) {
+        throw new ApiError(401, 'Invalid API key');
+    }
 
-        // Check if device is active
-        if (!device.isActive) {
-            throw new ApiError(403, 'Device is inactive');
-        }
+    // Check if device is active
+    if (!device.isActive) {
+        throw new ApiError(403, 'Device is inactive');
+    }
+
+    return device;
+};
 
+const authenticateDevice = async (req, res, next) => {
+    try {
         // Attach device to request
-        req.device = device;
+        req.device = await verifyDeviceCredentials(req.headers['x-device-id'], req.headers['x-api-key']);
         next();
     } catch (error) {
         next(error);
@@ -96,13 +111,10 @@ const authenticateAdmin = async (req, res, next) => {
 const authorizeDeviceAccess = async (req, res, next) => {
     try {
         const deviceId = req.params.deviceId || req.body.deviceId;
-        const user = await User.findById(req.user.userId);
-
-        if (user.role === 'admin') {
-            return next(); // Admins have access to all devices
-        }
+        const devices = await getDeviceAccess(req.user.userId);
 
-        if (!user.devices.includes(deviceId)) {
+        // Admins have access to all devices
+        if (devices && !devices.includes(deviceId)) {
             throw new ApiError(403, 'You do not have access to this device');
         }
 
@@ -113,6 +125,9 @@ const authorizeDeviceAccess = async (req, res, next) => {
 };
 
 module.exports = {
+    verifyUserToken,
+    getDeviceAccess,
+    verifyDeviceCredentials,
     authenticateUser,
     authenticateDevice,
     authenticateAdmin,
@@ -0,0 +1,20 @@
+const { ApiError } = require('./error.middleware');
+
+// Validate req[property] against a Joi schema and replace it with the sanitized value
+const validate = (schema, property = 'body') => (req, res, next) => {
+    const { error, value } = schema.validate(req[property], {
+        abortEarly: false,
+        stripUnknown: true
+    });
+
+    if (error) {
+        return next(new ApiError(400, error.details.map(detail => detail.message).join(', ')));
+    }
+
+    req[property] = value;
+    next();
+};
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Evaluation state of one alert rule for one device
+const alertRuleStateSchema = new mongoose.Schema({
+    ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'AlertRule'
+    },
+    deviceId: {
+        type: String,
+        required: true,
+        ref: 'Device'
+    },
+    // Whether the rule's condition held on the last evaluated fix
+    active: {
+        type: Boolean,
+        default: false
+    },
+    // speeding: when the device first exceeded the limit in the current run
+    overSince: {
+        type: Date,
+        default: null
+    },
+    lastTriggeredAt: {
+        type: Date,
+        default: null
+    },
+    lastEvaluatedAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Indexes
+alertRuleStateSchema.index({ ruleId: 1, deviceId: 1 }, { unique: true });
+alertRuleStateSchema.index({ deviceId: 1 });
+
+module.exports = mongoose.model('AlertRuleState', alertRuleStateSchema);
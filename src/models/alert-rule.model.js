@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { scheduleSchema } = require('./geofence-fields');
+
+const RULE_TYPES = ['speeding', 'metadata', 'curfew', 'zone'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const OPERATORS = ['lt', 'lte', 'gt', 'gte', 'eq', 'ne'];
+
+// Condition over incoming fixes that raises an Alert when it becomes true.
+// Which condition fields apply depends on the rule type.
+const alertRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: RULE_TYPES,
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: SEVERITIES,
+        default: 'warning'
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Minutes after an alert during which the rule does not fire again for the same device
+    cooldown: {
+        type: Number,
+        default: 15
+    },
+    // Devices and groups the rule applies to; all devices when both are empty
+    devices: [{
+        type: String,
+        trim: true
+    }],
+    groups: [{
+        type: String,
+        trim: true
+    }],
+    // speeding: m/s, sustained for duration seconds
+    speedLimit: Number,
+    duration: Number,
+    // metadata: compare metadata[metadataKey] with threshold
+    metadataKey: String,
+    operator: {
+        type: String,
+        enum: OPERATORS
+    },
+    threshold: mongoose.Schema.Types.Mixed,
+    // curfew: moving at minSpeed m/s or faster during the schedule
+    schedule: {
+        type: scheduleSchema,
+        default: undefined
+    },
+    minSpeed: Number,
+    // zone: entering this shared geofence
+    geofenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Geofence'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+alertRuleSchema.index({ enabled: 1, devices: 1 });
+alertRuleSchema.index({ enabled: 1, groups: 1 });
+
+alertRuleSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// Enabled rules that apply to a device directly, through its groups or to all devices
+alertRuleSchema.statics.findForDevice = async function(device) {
+    const conditions = [
+        { devices: device.deviceId },
+        { devices: { $size: 0 }, groups: { $size: 0 } }
+    ];
+    if (device.groups && device.groups.length > 0) {
+        conditions.push({ groups: { $in: device.groups } });
+    }
+
+    return this.find({ enabled: true, $or: conditions });
+};
+
+alertRuleSchema.statics.RULE_TYPES = RULE_TYPES;
+alertRuleSchema.statics.SEVERITIES = SEVERITIES;
+alertRuleSchema.statics.OPERATORS = OPERATORS;
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
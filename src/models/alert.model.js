@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { buildTimeFilter } = require('../utils/query');
+const AlertRule = require('./alert-rule.model');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const alertSchema = new mongoose.Schema({
+    ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'AlertRule'
+    },
+    ruleName: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: AlertRule.RULE_TYPES,
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: AlertRule.SEVERITIES,
+        required: true
+    },
+    deviceId: {
+        type: String,
+        required: true,
+        ref: 'Device'
+    },
+    message: {
+        type: String
+    },
+    // Measured value that triggered the alert, e.g. speed or metadata value
+    value: mongoose.Schema.Types.Mixed,
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            required: true
+        },
+        coordinates: {
+            type: [Number],
+            required: true
+        }
+    },
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+    status: {
+        type: String,
+        enum: ALERT_STATUSES,
+        default: 'open'
+    },
+    acknowledgedAt: Date,
+    acknowledgedBy: String,
+    resolvedAt: Date,
+    resolvedBy: String,
+    note: {
+        type: String,
+        trim: true
+    },
+    // Time of the fix that triggered the alert
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+alertSchema.index({ deviceId: 1, timestamp: -1 });
+alertSchema.index({ status: 1, timestamp: -1 });
+alertSchema.index({ ruleId: 1, timestamp: -1 });
+
+// Methods
+alertSchema.statics.getAlerts = async function(filters = {}, page = 1, limit = 50) {
+    const { deviceId, ruleId, type, severity, status, startTime, endTime } = filters;
+
+    const query = {};
+    if (deviceId) query.deviceId = deviceId;
+    if (ruleId) query.ruleId = ruleId;
+    if (type) query.type = type;
+    if (severity) query.severity = severity;
+    if (status) query.status = status;
+    if (startTime || endTime) query.timestamp = buildTimeFilter(startTime, endTime);
+
+    const [alerts, total] = await Promise.all([
+        this.find(query)
+            .sort({ timestamp: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-__v'),
+        this.countDocuments(query)
+    ]);
+
+    return {
+        alerts,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+alertSchema.statics.ALERT_STATUSES = ALERT_STATUSES;
+
+module.exports = mongoose.model('Alert', alertSchema);
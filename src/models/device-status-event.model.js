@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { buildTimeFilter } = require('../utils/query');
+
+const DEVICE_STATUSES = ['online', 'offline'];
+
+// A device going online (first fix after being offline) or offline (no fix
+// within its heartbeat timeout)
+const deviceStatusEventSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true,
+        ref: 'Device'
+    },
+    status: {
+        type: String,
+        enum: DEVICE_STATUSES,
+        required: true
+    },
+    // Last time a fix arrived from the device
+    lastSeenAt: {
+        type: Date
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+deviceStatusEventSchema.index({ deviceId: 1, timestamp: -1 });
+
+// Methods
+deviceStatusEventSchema.statics.getStatusEvents = async function(filters = {}, page = 1, limit = 50) {
+    const { deviceId, status, startTime, endTime } = filters;
+
+    const query = {};
+    if (deviceId) query.deviceId = deviceId;
+    if (status) query.status = status;
+    if (startTime || endTime) query.timestamp = buildTimeFilter(startTime, endTime);
+
+    const [events, total] = await Promise.all([
+        this.find(query)
+            .sort({ timestamp: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-__v'),
+        this.countDocuments(query)
+    ]);
+
+    return {
+        events,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+deviceStatusEventSchema.statics.DEVICE_STATUSES = DEVICE_STATUSES;
+
+module.exports = mongoose.model('DeviceStatusEvent', deviceStatusEventSchema);
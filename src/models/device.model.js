@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { geofenceFields } = require('./geofence-fields');
 
 const deviceSchema = new mongoose.Schema({
     deviceId: {
@@ -22,6 +23,21 @@ const deviceSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Heartbeat status: online until no fix arrives within the offline timeout
+    status: {
+        type: String,
+        enum: ['online', 'offline'],
+        default: 'offline'
+    },
+    // Time the last fix was received from the device
+    lastSeenAt: {
+        type: Date
+    },
+    // Minutes without a fix before the device is marked offline (defaults to DEVICE_OFFLINE_TIMEOUT)
+    offlineTimeout: {
+        type: Number,
+        min: 1
+    },
     lastLocation: {
         type: {
             type: String,
@@ -35,19 +51,16 @@ const deviceSchema = new mongoose.Schema({
         timestamp: {
             type: Date,
             default: Date.now
-        }
+        },
+        speed: Number
     },
+    groups: [{
+        type: String,
+        trim: true
+    }],
     geofences: [{
         name: String,
-        radius: Number, // in meters
-        center: {
-            type: {
-                type: String,
-                enum: ['Point'],
-                default: 'Point'
-            },
-            coordinates: [Number]
-        }
+        ...geofenceFields()
     }],
     createdAt: {
         type: Date,
@@ -57,6 +70,8 @@ const deviceSchema = new mongoose.Schema({
 
 // Indexes
 deviceSchema.index({ deviceId: 1 });
+deviceSchema.index({ groups: 1 });
+deviceSchema.index({ status: 1, lastSeenAt: 1 });
 deviceSchema.index({ 'lastLocation.coordinates': '2dsphere' });
 deviceSchema.index({ 'geofences.center.coordinates': '2dsphere' });
 
@@ -72,6 +87,43 @@ deviceSchema.pre('save', async function(next) {
     }
 });
 
+// Devices that never reported still have the default [0, 0] last location
+const HAS_REPORTED = { 'lastLocation.coordinates': { $ne: [0, 0] } };
+
+// Devices whose last location is within `radius` meters of a [lng, lat]
+// point, nearest first, with the distance in meters
+deviceSchema.statics.findNearby = function(coordinates, radius, { group, limit = 50 } = {}) {
+    const query = { ...HAS_REPORTED };
+    if (group) query.groups = group;
+
+    return this.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates },
+                key: 'lastLocation.coordinates',
+                distanceField: 'distance',
+                maxDistance: radius,
+                spherical: true,
+                query
+            }
+        },
+        { $limit: limit },
+        { $project: { apiKey: 0, geofences: 0, __v: 0 } }
+    ]);
+};
+
+// Devices whose last location lies inside a GeoJSON (Multi)Polygon
+deviceSchema.statics.findWithin = function(geometry, { group } = {}) {
+    const query = {
+        'lastLocation.coordinates': { $geoWithin: { $geometry: geometry }, ...HAS_REPORTED['lastLocation.coordinates'] }
+    };
+    if (group) query.groups = group;
+
+    return this.find(query)
+        .select('-apiKey -geofences -__v')
+        .sort({ deviceId: 1 });
+};
+
 // Verify API key
 deviceSchema.methods.verifyApiKey = async function(apiKey) {
     try {
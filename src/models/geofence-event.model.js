@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { buildTimeFilter } = require('../utils/query');
+
+const EVENT_TYPES = ['enter', 'exit', 'dwell', 'overstay'];
+
+const geofenceEventSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true,
+        ref: 'Device'
+    },
+    geofenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    geofenceName: {
+        type: String,
+        trim: true
+    },
+    eventType: {
+        type: String,
+        enum: EVENT_TYPES,
+        required: true
+    },
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            required: true
+        },
+        coordinates: {
+            type: [Number],
+            required: true
+        }
+    },
+    // Time spent inside the geofence when the event fired, in seconds
+    duration: {
+        type: Number
+    },
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location'
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+geofenceEventSchema.index({ deviceId: 1, timestamp: -1 });
+geofenceEventSchema.index({ geofenceId: 1, timestamp: -1 });
+geofenceEventSchema.index({ eventType: 1, timestamp: -1 });
+
+// Methods
+geofenceEventSchema.statics.getEvents = async function(filters = {}, page = 1, limit = 50) {
+    const { deviceId, geofenceId, eventType, startTime, endTime } = filters;
+
+    const query = {};
+    if (deviceId) query.deviceId = deviceId;
+    if (geofenceId) query.geofenceId = geofenceId;
+    if (eventType) query.eventType = eventType;
+    if (startTime || endTime) query.timestamp = buildTimeFilter(startTime, endTime);
+
+    const [events, total] = await Promise.all([
+        this.find(query)
+            .sort({ timestamp: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-__v'),
+        this.countDocuments(query)
+    ]);
+
+    return {
+        events,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+geofenceEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('GeofenceEvent', geofenceEventSchema);
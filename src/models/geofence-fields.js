@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { GEOFENCE_SHAPES, POLYGON_TYPES } = require('../utils/geo');
+
+const scheduleSchema = new mongoose.Schema({
+    days: [Number], // 0 = Sunday ... 6 = Saturday
+    startTime: String, // HH:mm
+    endTime: String, // HH:mm
+    timezone: {
+        type: String,
+        default: 'UTC'
+    }
+}, { _id: false });
+
+// Fields shared by geofences embedded in a device and standalone geofences
+const geofenceFields = () => ({
+    shape: {
+        type: String,
+        enum: GEOFENCE_SHAPES,
+        default: 'circle'
+    },
+    // Circular geofences
+    radius: Number, // in meters
+    center: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
+    // Polygon geofences (GeoJSON Polygon or MultiPolygon, holes supported)
+    geometry: {
+        type: {
+            type: String,
+            enum: POLYGON_TYPES
+        },
+        coordinates: mongoose.Schema.Types.Mixed
+    },
+    // Distance beyond the boundary, in meters, a device must move before an exit
+    // is recorded. Falls back to GEOFENCE_HYSTERESIS when not set.
+    hysteresis: Number,
+    // Fire a 'dwell' event after staying inside this long, in minutes
+    dwellTime: Number,
+    // Fire an 'overstay' event after staying inside this long, in minutes
+    maxDwellTime: Number,
+    // Disabled geofences are never evaluated
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // Optional weekly window outside of which the geofence is not evaluated
+    schedule: {
+        type: scheduleSchema,
+        default: undefined
+    }
+});
+
+module.exports = { geofenceFields, scheduleSchema };
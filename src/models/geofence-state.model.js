@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Last known inside/outside state of a device for one geofence. Transitions are
+// detected against this state instead of the device's previous location.
+const geofenceStateSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true,
+        ref: 'Device'
+    },
+    geofenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    inside: {
+        type: Boolean,
+        required: true
+    },
+    // When the current state was entered
+    since: {
+        type: Date,
+        required: true
+    },
+    // Opposite state observed on consecutive fixes but not yet confirmed
+    pendingInside: {
+        type: Boolean,
+        default: null
+    },
+    pendingCount: {
+        type: Number,
+        default: 0
+    },
+    pendingSince: {
+        type: Date,
+        default: null
+    },
+    lastEvaluatedAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Indexes
+geofenceStateSchema.index({ deviceId: 1, geofenceId: 1 }, { unique: true });
+geofenceStateSchema.index({ geofenceId: 1 });
+
+module.exports = mongoose.model('GeofenceState', geofenceStateSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { buildTimeFilter } = require('../utils/query');
+
+// A stay of a device inside a geofence, from the enter event to the exit event
+const geofenceVisitSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true,
+        ref: 'Device'
+    },
+    geofenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    geofenceName: {
+        type: String,
+        trim: true
+    },
+    enteredAt: {
+        type: Date,
+        required: true
+    },
+    exitedAt: {
+        type: Date,
+        default: null
+    },
+    duration: {
+        type: Number, // in seconds, set when the visit is closed
+        default: null
+    },
+    dwellNotified: {
+        type: Boolean,
+        default: false
+    },
+    overstayNotified: {
+        type: Boolean,
+        default: false
+    }
+});
+
+// Indexes
+geofenceVisitSchema.index({ deviceId: 1, geofenceId: 1, exitedAt: 1 });
+geofenceVisitSchema.index({ deviceId: 1, enteredAt: -1 });
+geofenceVisitSchema.index({ geofenceId: 1, enteredAt: -1 });
+
+// Methods
+geofenceVisitSchema.statics.findOpenVisit = async function(deviceId, geofenceId) {
+    return this.findOne({ deviceId, geofenceId, exitedAt: null });
+};
+
+const buildVisitQuery = ({ deviceId, geofenceId, startTime, endTime, open }) => {
+    const query = {};
+    if (deviceId) query.deviceId = deviceId;
+    if (geofenceId) query.geofenceId = new mongoose.Types.ObjectId(geofenceId);
+    if (startTime || endTime) query.enteredAt = buildTimeFilter(startTime, endTime);
+    if (open === true) query.exitedAt = null;
+    if (open === false) query.exitedAt = { $ne: null };
+    return query;
+};
+
+geofenceVisitSchema.statics.getVisits = async function(filters = {}, page = 1, limit = 50) {
+    const query = buildVisitQuery(filters);
+
+    const [visits, total] = await Promise.all([
+        this.find(query)
+            .sort({ enteredAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-__v'),
+        this.countDocuments(query)
+    ]);
+
+    return {
+        visits,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+// Total time spent by each device at each geofence. Open visits count up to now.
+geofenceVisitSchema.statics.getTimeSpentSummary = async function(filters = {}) {
+    const now = new Date();
+
+    return this.aggregate([
+        { $match: buildVisitQuery(filters) },
+        {
+            $addFields: {
+                effectiveDuration: {
+                    $ifNull: [
+                        '$duration',
+                        { $divide: [{ $subtract: [now, '$enteredAt'] }, 1000] }
+                    ]
+                }
+            }
+        },
+        {
+            $group: {
+                _id: { deviceId: '$deviceId', geofenceId: '$geofenceId' },
+                geofenceName: { $last: '$geofenceName' },
+                visits: { $sum: 1 },
+                totalDuration: { $sum: '$effectiveDuration' },
+                averageDuration: { $avg: '$effectiveDuration' },
+                maxDuration: { $max: '$effectiveDuration' },
+                firstEnteredAt: { $min: '$enteredAt' },
+                lastEnteredAt: { $max: '$enteredAt' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                deviceId: '$_id.deviceId',
+                geofenceId: '$_id.geofenceId',
+                geofenceName: 1,
+                visits: 1,
+                totalDuration: { $round: ['$totalDuration', 0] },
+                averageDuration: { $round: ['$averageDuration', 0] },
+                maxDuration: { $round: ['$maxDuration', 0] },
+                firstEnteredAt: 1,
+                lastEnteredAt: 1
+            }
+        },
+        { $sort: { deviceId: 1, totalDuration: -1 } }
+    ]);
+};
+
+module.exports = mongoose.model('GeofenceVisit', geofenceVisitSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { geofenceFields } = require('./geofence-fields');
+
+const geofenceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    ...geofenceFields(),
+    // Devices this geofence applies to, by deviceId
+    devices: [{
+        type: String,
+        ref: 'Device'
+    }],
+    // Device groups this geofence applies to
+    groups: [{
+        type: String,
+        trim: true
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+geofenceSchema.index({ devices: 1 });
+geofenceSchema.index({ groups: 1 });
+
+geofenceSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// Find all shared geofences assigned to a device directly or through one of its groups
+geofenceSchema.statics.findForDevice = async function(device) {
+    const conditions = [{ devices: device.deviceId }];
+    if (device.groups && device.groups.length > 0) {
+        conditions.push({ groups: { $in: device.groups } });
+    }
+
+    return this.find({ $or: conditions });
+};
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
@@ -29,10 +29,16 @@ const locationSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Time the fix was recorded by the device (recordedAt); falls back to receipt time
     timestamp: {
         type: Date,
         default: Date.now
     },
+    // Time the fix was received by the server
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
     metadata: {
         type: Map,
         of: String,
@@ -49,18 +55,118 @@ locationSchema.index({ timestamp: 1 }, {
     expireAfterSeconds: process.env.MAX_LOCATION_HISTORY_DAYS * 24 * 60 * 60 || 30 * 24 * 60 * 60 
 });
 
-// Methods
-locationSchema.statics.getLocationHistory = async function(deviceId, startTime, endTime) {
+// Fields that may be requested through history field selection
+const SELECTABLE_FIELDS = ['deviceId', 'location', 'altitude', 'speed', 'accuracy', 'timestamp', 'receivedAt', 'metadata'];
+
+// Opaque cursor pointing just past a location in timestamp order
+const encodeCursor = (location) => Buffer.from(JSON.stringify({
+    t: location.timestamp.getTime(),
+    id: location._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) return null;
+        return { timestamp: new Date(t), id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Build the query for a device's history in a time window, continuing after `cursor`
+function buildHistoryQuery(deviceId, { startTime, endTime, cursor, order = 'desc' } = {}) {
     const query = { deviceId };
     if (startTime || endTime) {
         query.timestamp = {};
         if (startTime) query.timestamp.$gte = new Date(startTime);
         if (endTime) query.timestamp.$lte = new Date(endTime);
     }
-    
-    return this.find(query)
-        .sort({ timestamp: -1 })
-        .select('-__v');
+
+    if (cursor) {
+        const op = order === 'asc' ? '$gt' : '$lt';
+        query.$or = [
+            { timestamp: { [op]: cursor.timestamp } },
+            { timestamp: cursor.timestamp, _id: { [op]: cursor.id } }
+        ];
+    }
+
+    return query;
+}
+
+// Projection for the requested fields; _id and timestamp are always kept for cursors
+const buildProjection = (fields) => (fields && fields.length > 0 ?
+    ['_id', 'timestamp', ...fields.filter(field => field !== 'timestamp')].join(' ') :
+    '-__v');
+
+// Methods
+// Fetch one page of a device's location history ordered by timestamp.
+// Returns the locations and a cursor for the next page, if any.
+locationSchema.statics.getLocationHistory = async function(deviceId, startTime, endTime, options = {}) {
+    const { limit = 1000, cursor, order = 'desc', fields } = options;
+    const direction = order === 'asc' ? 1 : -1;
+
+    const locations = await this.find(buildHistoryQuery(deviceId, { startTime, endTime, cursor, order }))
+        .sort({ timestamp: direction, _id: direction })
+        .limit(limit + 1)
+        .select(buildProjection(fields));
+
+    const hasMore = locations.length > limit;
+    if (hasMore) locations.pop();
+
+    return {
+        locations,
+        nextCursor: hasMore ? encodeCursor(locations[locations.length - 1]) : null
+    };
+};
+
+// Query cursor over a device's location history, for streaming large windows
+locationSchema.statics.streamLocationHistory = function(deviceId, startTime, endTime, options = {}) {
+    const { limit, cursor, order = 'desc', fields } = options;
+    const direction = order === 'asc' ? 1 : -1;
+
+    const query = this.find(buildHistoryQuery(deviceId, { startTime, endTime, cursor, order }))
+        .sort({ timestamp: direction, _id: direction })
+        .select(buildProjection(fields))
+        .lean();
+
+    if (limit) query.limit(limit);
+    return query.cursor();
+};
+
+locationSchema.statics.SELECTABLE_FIELDS = SELECTABLE_FIELDS;
+locationSchema.statics.decodeCursor = decodeCursor;
+
+// Devices with at least one fix inside a GeoJSON (Multi)Polygon during a time
+// window, with the first and last time they were seen there
+locationSchema.statics.findDevicesWithin = function(geometry, startTime, endTime, { deviceIds } = {}) {
+    const match = {
+        location: { $geoWithin: { $geometry: geometry } },
+        timestamp: { $gte: new Date(startTime), $lte: new Date(endTime) }
+    };
+    if (deviceIds) match.deviceId = { $in: deviceIds };
+
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$deviceId',
+                firstSeen: { $min: '$timestamp' },
+                lastSeen: { $max: '$timestamp' },
+                fixes: { $sum: 1 }
+            }
+        },
+        { $sort: { firstSeen: 1 } },
+        {
+            $project: {
+                _id: 0,
+                deviceId: '$_id',
+                firstSeen: 1,
+                lastSeen: 1,
+                fixes: 1
+            }
+        }
+    ]);
 };
 
 locationSchema.statics.getLatestLocation = async function(deviceId) {
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// A cluster of consecutive low-movement fixes where a device stayed in one place
+const stopSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true,
+        ref: 'Device'
+    },
+    // Open stops may still be extended by new fixes
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    // Set once the stop lasted at least the minimum stop duration
+    confirmed: {
+        type: Boolean,
+        default: false
+    },
+    centroid: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number],
+            required: true
+        }
+    },
+    arrivalTime: {
+        type: Date,
+        required: true
+    },
+    departureTime: {
+        type: Date,
+        required: true
+    },
+    duration: {
+        type: Number, // in seconds
+        default: 0
+    },
+    pointCount: {
+        type: Number,
+        default: 1
+    }
+});
+
+// Indexes
+stopSchema.index({ deviceId: 1, arrivalTime: -1 });
+stopSchema.index({ deviceId: 1, status: 1 });
+stopSchema.index({ centroid: '2dsphere' });
+
+// Methods
+stopSchema.statics.getStops = async function(filters = {}, page = 1, limit = 50) {
+    const { deviceId, startTime, endTime, minDuration } = filters;
+
+    const query = { deviceId, confirmed: true };
+    // Stops overlapping the requested window
+    if (startTime) query.departureTime = { $gte: new Date(startTime) };
+    if (endTime) query.arrivalTime = { $lte: new Date(endTime) };
+    if (minDuration) query.duration = { $gte: minDuration };
+
+    const [stops, total] = await Promise.all([
+        this.find(query)
+            .sort({ arrivalTime: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-confirmed -__v'),
+        this.countDocuments(query)
+    ]);
+
+    return {
+        stops,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+module.exports = mongoose.model('Stop', stopSchema);
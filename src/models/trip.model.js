@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { buildTimeFilter } = require('../utils/query');
+
+const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+    },
+    coordinates: {
+        type: [Number],
+        required: true
+    }
+}, { _id: false });
+
+const tripSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true,
+        ref: 'Device'
+    },
+    status: {
+        type: String,
+        enum: ['active', 'completed'],
+        default: 'active'
+    },
+    startTime: {
+        type: Date,
+        required: true
+    },
+    endTime: {
+        type: Date,
+        default: null
+    },
+    startLocation: {
+        type: pointSchema,
+        required: true
+    },
+    endLocation: pointSchema,
+    duration: {
+        type: Number, // in seconds
+        default: 0
+    },
+    distance: {
+        type: Number, // in meters
+        default: 0
+    },
+    maxSpeed: {
+        type: Number, // in m/s
+        default: 0
+    },
+    avgSpeed: {
+        type: Number, // in m/s
+        default: 0
+    },
+    pointCount: {
+        type: Number,
+        default: 0
+    },
+    // Simplified track, set when the trip is completed
+    polyline: {
+        type: {
+            type: String,
+            enum: ['LineString']
+        },
+        coordinates: {
+            type: [[Number]],
+            default: undefined
+        }
+    },
+    // Internal state used while the trip is active
+    tracking: {
+        lastCoordinates: [Number],
+        lastTimestamp: Date,
+        lastMovingAt: Date,
+        lastMovingCoordinates: [Number],
+        distanceAtLastMove: Number
+    }
+});
+
+// Indexes
+tripSchema.index({ deviceId: 1, startTime: -1 });
+tripSchema.index({ deviceId: 1, status: 1 });
+
+// Methods
+tripSchema.statics.getTrips = async function(filters = {}, page = 1, limit = 50) {
+    const { deviceId, status, startTime, endTime } = filters;
+
+    const query = { deviceId };
+    if (status) query.status = status;
+    if (startTime || endTime) query.startTime = buildTimeFilter(startTime, endTime);
+
+    const [trips, total] = await Promise.all([
+        this.find(query)
+            .sort({ startTime: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-tracking -__v'),
+        this.countDocuments(query)
+    ]);
+
+    return {
+        trips,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+module.exports = mongoose.model('Trip', tripSchema);
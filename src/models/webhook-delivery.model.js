@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { buildTimeFilter } = require('../utils/query');
+
+// pending: waiting for its first or next attempt; dead: gave up after the last retry
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Days delivered events are kept in the delivery log
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 7;
+
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        required: true
+    },
+    // HTTP status of the response, if one was received
+    responseStatus: Number,
+    error: String,
+    // Milliseconds until the response or failure
+    duration: Number
+}, { _id: false });
+
+// One event sent to one webhook, with its attempts
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Webhook'
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    deviceId: {
+        type: String,
+        ref: 'Device'
+    },
+    // JSON body sent on every attempt
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES,
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // When the next attempt is due; also pushed forward while an attempt is in progress
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    history: [attemptSchema],
+    deliveredAt: Date,
+    // Set once delivered so the log entry expires after RETENTION_DAYS
+    expiresAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Methods
+webhookDeliverySchema.statics.getDeliveries = async function(filters = {}, page = 1, limit = 50) {
+    const { webhookId, event, deviceId, status, startTime, endTime } = filters;
+
+    const query = {};
+    if (webhookId) query.webhookId = webhookId;
+    if (event) query.event = event;
+    if (deviceId) query.deviceId = deviceId;
+    if (status) query.status = status;
+    if (startTime || endTime) query.createdAt = buildTimeFilter(startTime, endTime);
+
+    const [deliveries, total] = await Promise.all([
+        this.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select('-__v'),
+        this.countDocuments(query)
+    ]);
+
+    return {
+        deliveries,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+webhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+webhookDeliverySchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
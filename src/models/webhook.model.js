@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = ['location_update', 'geofence_event', 'alert', 'alert_updated'];
+
+// HTTP endpoint that receives events for the devices it is subscribed to
+const webhookSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    events: [{
+        type: String,
+        enum: WEBHOOK_EVENTS
+    }],
+    // Devices and groups whose events are delivered; all devices when both are empty
+    devices: [{
+        type: String,
+        trim: true
+    }],
+    groups: [{
+        type: String,
+        trim: true
+    }],
+    // Key for the HMAC-SHA256 signature of each delivery; only returned on creation
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+webhookSchema.index({ enabled: 1, events: 1 });
+
+webhookSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// Enabled webhooks subscribed to an event of the device, including their secrets
+webhookSchema.statics.findForEvent = async function(event, device) {
+    const conditions = [
+        { devices: device.deviceId },
+        { devices: { $size: 0 }, groups: { $size: 0 } }
+    ];
+    if (device.groups && device.groups.length > 0) {
+        conditions.push({ groups: { $in: device.groups } });
+    }
+
+    return this.find({ enabled: true, events: event, $or: conditions }).select('+secret');
+};
+
+webhookSchema.statics.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,139 @@
+const nmea = require('../nmea');
+
+const RMC = '$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A\r\n';
+const GGA = '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47\r\n';
+
+// A sentence with a valid checksum
+const sentence = (body) => `$${body}*${nmea.checksum(body)}\r\n`;
+
+const fixes = (messages) => messages.filter(message => message.type === 'fix').map(message => message.fix);
+
+describe('nmea decoder', () => {
+    let decoder;
+
+    beforeEach(() => {
+        decoder = nmea.createDecoder();
+    });
+
+    test('merges $GPRMC and $GPGGA of the same moment', () => {
+        const [fix] = fixes(decoder.decode(RMC + GGA));
+
+        expect(fix.coordinates[0]).toBeCloseTo(11.516667, 5);
+        expect(fix.coordinates[1]).toBeCloseTo(48.1173, 5);
+        expect(fix.speed).toBeCloseTo(22.4 * 0.514444, 5);
+        expect(fix.altitude).toBe(545.4);
+        expect(fix.timestamp).toEqual(new Date('1994-03-23T12:35:19Z'));
+        expect(fix.metadata).toEqual({ course: 84.4, satellites: 8, hdop: 0.9 });
+    });
+
+    test('merges sentences of one moment received in separate chunks', () => {
+        expect(decoder.decode(RMC)).toEqual([]);
+
+        const messages = decoder.decode(GGA);
+        expect(messages).toHaveLength(1);
+        expect(messages[0].fix).toMatchObject({ altitude: 545.4, timestamp: new Date('1994-03-23T12:35:19Z') });
+        expect(messages[0].fix.speed).toBeGreaterThan(0);
+    });
+
+    test('emits a fix when a sentence for another moment arrives', () => {
+        expect(decoder.decode(RMC)).toEqual([]);
+
+        const [fix] = fixes(decoder.decode(sentence('GPRMC,123520,A,4807.040,N,01131.002,E,022.4,084.4,230394,,')));
+        expect(fix.timestamp).toEqual(new Date('1994-03-23T12:35:19Z'));
+        expect(fix.altitude).toBeUndefined();
+    });
+
+    test('flush emits the fix being assembled and drops late sentences for it', () => {
+        decoder.decode(RMC);
+
+        const [fix] = fixes(decoder.flush());
+        expect(fix.altitude).toBeUndefined();
+        expect(decoder.flush()).toEqual([]);
+
+        expect(decoder.decode(GGA)).toEqual([]);
+        expect(decoder.flush()).toEqual([]);
+    });
+
+    test('emits the pending fix before a login', () => {
+        const messages = decoder.decode(RMC + sentence('PLOGIN,device1,secret'));
+        expect(messages.map(message => message.type)).toEqual(['fix', 'login']);
+        expect(messages[1]).toMatchObject({ deviceId: 'device1', apiKey: 'secret' });
+    });
+
+    test('verifies checksums', () => {
+        const messages = decoder.decode(RMC.replace('*6A', '*6B'));
+        expect(messages).toEqual([{ type: 'error', message: expect.stringMatching(/^Checksum mismatch/) }]);
+        expect(decoder.flush()).toEqual([]);
+    });
+
+    test('accepts sentences without a checksum', () => {
+        decoder.decode('$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W\r\n');
+        expect(fixes(decoder.flush())).toHaveLength(1);
+    });
+
+    test('reports lines that are not NMEA sentences', () => {
+        const [message] = decoder.decode('hello\r\n');
+        expect(message).toEqual({ type: 'error', message: 'Not an NMEA sentence: hello' });
+    });
+
+    test('negates southern latitudes and western longitudes', () => {
+        decoder.decode(sentence('GNRMC,101010,A,3351.600,S,15112.300,W,0.0,,010125,,'));
+        const [fix] = fixes(decoder.flush());
+
+        expect(fix.coordinates[0]).toBeCloseTo(-151.205, 5);
+        expect(fix.coordinates[1]).toBeCloseTo(-33.86, 5);
+        expect(fix.timestamp).toEqual(new Date('2025-01-01T10:10:10Z'));
+    });
+
+    test('ignores $GPRMC without a valid fix (status V)', () => {
+        expect(decoder.decode(sentence('GPRMC,123519,V,4807.038,N,01131.000,E,,,230394,,'))).toEqual([]);
+        expect(decoder.flush()).toEqual([]);
+    });
+
+    test('ignores $GPGGA with fix quality 0', () => {
+        expect(decoder.decode(sentence('GPGGA,123519,4807.038,N,01131.000,E,0,00,,,M,,M,,'))).toEqual([]);
+        expect(decoder.flush()).toEqual([]);
+    });
+
+    test('uses the last $GPRMC date for $GPGGA', () => {
+        decoder.decode(RMC + GGA);
+        decoder.decode(sentence('GPGGA,123600,4807.100,N,01131.100,E,1,08,0.9,546.0,M,46.9,M,,'));
+
+        const [fix] = fixes(decoder.flush());
+        expect(fix.timestamp).toEqual(new Date('1994-03-23T12:36:00Z'));
+        expect(fix.speed).toBeUndefined();
+    });
+
+    test('reassembles a line split across chunks', () => {
+        expect(decoder.decode(RMC.slice(0, 20))).toEqual([]);
+        expect(decoder.decode(RMC.slice(20, 50))).toEqual([]);
+        decoder.decode(RMC.slice(50));
+
+        expect(fixes(decoder.flush())).toHaveLength(1);
+    });
+
+    test('decodes a trailing line without a line break when the chunk is complete', () => {
+        decoder.decode(RMC.trim(), true);
+        expect(fixes(decoder.flush())).toHaveLength(1);
+    });
+
+    test('drops an overlong line and recovers', () => {
+        const messages = decoder.decode(`$GPRMC,${'1'.repeat(2000)}`);
+        expect(messages).toEqual([{ type: 'error', message: 'Line too long' }]);
+
+        // The rest of the dropped line is rejected, later lines decode normally
+        decoder.decode(`${'1'.repeat(10)}\r\n`);
+        const decoded = decoder.decode(RMC + GGA);
+        expect(fixes(decoded)).toHaveLength(1);
+    });
+});
+
+describe('loginReply', () => {
+    test('acknowledges a login', () => {
+        expect(nmea.loginReply()).toBe(sentence('PLOGIN,OK'));
+    });
+
+    test('reports an error without NMEA delimiters', () => {
+        expect(nmea.loginReply(new Error('Bad key, $1*'))).toBe(sentence('PLOGIN,ERROR,Bad key   1 '));
+    });
+});
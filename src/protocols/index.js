@@ -0,0 +1,6 @@
+const nmea = require('./nmea');
+
+// Tracker protocols accepted by the TCP/UDP listeners, by name
+module.exports = {
+    nmea
+};
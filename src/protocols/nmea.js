@@ -0,0 +1,234 @@
+// NMEA 0183 text protocol spoken by many GPS trackers. Positions come from
+// $GPRMC and $GPGGA sentences (any talker ID, e.g. $GNRMC); the proprietary
+// sentence $PLOGIN,<deviceId>,<apiKey> authenticates the connection. Lines
+// end with CR LF and may carry a *hh checksum, which is verified when present.
+
+const KNOTS_TO_MS = 0.514444;
+// Longest line buffered while waiting for its end
+const MAX_LINE_LENGTH = 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+// XOR of the characters between '$' and '*', as two uppercase hex digits
+function checksum(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+        sum ^= body.charCodeAt(i);
+    }
+    return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+// Fields of a "$BODY*hh" sentence, or an error message
+function parseSentence(line) {
+    const match = /^\$([^*$]+)(?:\*([0-9A-Fa-f]{2}))?$/.exec(line);
+    if (!match) {
+        return { error: `Not an NMEA sentence: ${line.slice(0, 80)}` };
+    }
+    if (match[2] && checksum(match[1]) !== match[2].toUpperCase()) {
+        return { error: `Checksum mismatch: ${line.slice(0, 80)}` };
+    }
+    return { fields: match[1].split(',') };
+}
+
+// ddmm.mmmm (latitude) or dddmm.mmmm (longitude) and hemisphere to decimal degrees
+function parseCoordinate(value, hemisphere, degreeDigits) {
+    if (!value || value.length <= degreeDigits) return null;
+
+    const degrees = parseInt(value.slice(0, degreeDigits), 10);
+    const minutes = parseFloat(value.slice(degreeDigits));
+    if (!Number.isFinite(degrees) || !Number.isFinite(minutes)) return null;
+
+    const decimal = degrees + minutes / 60;
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+// hhmmss(.sss) to milliseconds since midnight UTC
+function parseTimeOfDay(value) {
+    const match = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/.exec(value || '');
+    if (!match) return null;
+    return ((parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 60 + parseFloat(match[3])) * 1000;
+}
+
+// ddmmyy to midnight UTC in epoch milliseconds; years from 80 are 19xx
+function parseDate(value) {
+    const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const year = parseInt(match[3], 10);
+    return Date.UTC(year < 80 ? 2000 + year : 1900 + year, parseInt(match[2], 10) - 1, parseInt(match[1], 10));
+}
+
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+// Timestamp of a fix from its time of day. Sentences without a date ($GPGGA)
+// use the last date seen from the device, or today (UTC) when that would put
+// the fix in the future, yesterday.
+function resolveTimestamp(time, date, now = Date.now()) {
+    if (date !== null) return new Date(date + time);
+
+    const today = now - (now % DAY);
+    const timestamp = today + time;
+    return new Date(timestamp > now + 60 * 60 * 1000 ? timestamp - DAY : timestamp);
+}
+
+// Stateful decoder for one connection or UDP sender. Sentences describing the
+// same moment ($GPRMC and $GPGGA with the same time) are merged into one fix,
+// even when they arrive in separate packets. The fix is emitted once both were
+// seen, when a sentence for another moment or a login arrives, or when the
+// caller flushes the decoder, e.g. after a pause in the data. Sentences for a
+// moment already emitted are dropped so that it is never stored twice.
+function createDecoder() {
+    let buffer = '';
+    // Midnight UTC of the last $GPRMC date
+    let lastDate = null;
+    // Fix being assembled: { time, date, coordinates, speed, altitude, metadata, sentences }
+    let epoch = null;
+    // Time of day of the last emitted fix
+    let emittedTime = null;
+
+    function emit(messages) {
+        if (epoch && epoch.coordinates) {
+            const date = epoch.date !== null ? epoch.date : lastDate;
+            messages.push({
+                type: 'fix',
+                fix: {
+                    coordinates: epoch.coordinates,
+                    speed: epoch.speed,
+                    altitude: epoch.altitude,
+                    timestamp: resolveTimestamp(epoch.time, date),
+                    metadata: epoch.metadata
+                }
+            });
+            emittedTime = epoch.time;
+        }
+        epoch = null;
+    }
+
+    // The fix being assembled for a time of day, or null if it was already emitted
+    function epochAt(time, messages) {
+        if (time === emittedTime) return null;
+        if (!epoch || epoch.time !== time) {
+            emit(messages);
+            epoch = { time, date: null, metadata: {}, sentences: new Set() };
+        }
+        return epoch;
+    }
+
+    // Emit the fix as soon as nothing more can be merged into it
+    function received(fix, sentence, messages) {
+        fix.sentences.add(sentence);
+        if (fix.sentences.has('RMC') && fix.sentences.has('GGA')) emit(messages);
+    }
+
+    function handleRmc(fields, messages) {
+        const time = parseTimeOfDay(fields[1]);
+        const latitude = parseCoordinate(fields[3], fields[4], 2);
+        const longitude = parseCoordinate(fields[5], fields[6], 3);
+        // 'V' means the receiver has no valid fix
+        if (fields[2] !== 'A' || time === null || latitude === null || longitude === null) return;
+
+        const fix = epochAt(time, messages);
+        if (!fix) return;
+        fix.coordinates = [longitude, latitude];
+
+        const knots = parseNumber(fields[7]);
+        if (knots !== undefined) fix.speed = knots * KNOTS_TO_MS;
+        const course = parseNumber(fields[8]);
+        if (course !== undefined) fix.metadata.course = course;
+
+        const date = parseDate(fields[9]);
+        if (date !== null) {
+            fix.date = date;
+            lastDate = date;
+        }
+        received(fix, 'RMC', messages);
+    }
+
+    function handleGga(fields, messages) {
+        const time = parseTimeOfDay(fields[1]);
+        const latitude = parseCoordinate(fields[2], fields[3], 2);
+        const longitude = parseCoordinate(fields[4], fields[5], 3);
+        // Fix quality 0 means no fix
+        if (!fields[6] || fields[6] === '0' || time === null || latitude === null || longitude === null) return;
+
+        const fix = epochAt(time, messages);
+        if (!fix) return;
+        if (!fix.coordinates) fix.coordinates = [longitude, latitude];
+
+        const satellites = parseNumber(fields[7]);
+        if (satellites !== undefined) fix.metadata.satellites = satellites;
+        const hdop = parseNumber(fields[8]);
+        if (hdop !== undefined) fix.metadata.hdop = hdop;
+        const altitude = parseNumber(fields[9]);
+        if (altitude !== undefined) fix.altitude = altitude;
+        received(fix, 'GGA', messages);
+    }
+
+    function handleLine(line, messages) {
+        const { fields, error } = parseSentence(line);
+        if (error) {
+            messages.push({ type: 'error', message: error });
+            return;
+        }
+
+        const [name] = fields;
+        if (name === 'PLOGIN') {
+            emit(messages);
+            messages.push({ type: 'login', deviceId: fields[1], apiKey: fields[2] });
+        } else if (/^[A-Z]{2}RMC$/.test(name)) {
+            handleRmc(fields, messages);
+        } else if (/^[A-Z]{2}GGA$/.test(name)) {
+            handleGga(fields, messages);
+        }
+        // Other sentences (GSA, GSV, VTG, ...) carry nothing that is stored
+    }
+
+    return {
+        // Decode a chunk of received data into login, fix and error messages, in
+        // order. With complete set (e.g. for a UDP datagram) a trailing line
+        // without a line break is decoded as well.
+        decode(chunk, complete = false) {
+            const messages = [];
+
+            buffer += chunk.toString('latin1');
+            const lines = buffer.split(/\r?\n/);
+            buffer = complete ? '' : lines.pop();
+
+            if (buffer.length > MAX_LINE_LENGTH) {
+                buffer = '';
+                messages.push({ type: 'error', message: 'Line too long' });
+            }
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (trimmed) handleLine(trimmed, messages);
+            }
+
+            return messages;
+        },
+
+        // Emit the fix still being assembled, if any
+        flush() {
+            const messages = [];
+            emit(messages);
+            return messages;
+        }
+    };
+}
+
+// Reply to a $PLOGIN sentence
+function loginReply(error) {
+    const body = error ?
+        `PLOGIN,ERROR,${error.message.replace(/[,*$\r\n]/g, ' ')}` :
+        'PLOGIN,OK';
+    return `$${body}*${checksum(body)}\r\n`;
+}
+
+module.exports = {
+    name: 'nmea',
+    createDecoder,
+    loginReply,
+    checksum
+};
@@ -0,0 +1,345 @@
+const express = require('express');
+const router = express.Router();
+const AlertRule = require('../models/alert-rule.model');
+const Geofence = require('../models/geofence.model');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+const { ApiError } = require('../middleware/error.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { parsePagination, parseBoolean, assertObjectId, assertDevicesExist } = require('../utils/query');
+const { CONDITION_FIELDS, createAlertRule, updateAlertRule, mergeRuleUpdate } = require('../validators/alert.validator');
+const { clearRuleState } = require('../services/alert.service');
+
+async function assertRuleReferences(rule) {
+    await assertDevicesExist(rule.devices || []);
+
+    if (rule.geofenceId && !(await Geofence.exists({ _id: rule.geofenceId }))) {
+        throw new ApiError(400, 'Unknown geofence');
+    }
+}
+
+async function findAlertRule(ruleId) {
+    assertObjectId(ruleId, 'alert rule ID');
+
+    const rule = await AlertRule.findById(ruleId);
+    if (!rule) {
+        throw new ApiError(404, 'Alert rule not found');
+    }
+    return rule;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [speeding, metadata, curfew, zone]
+ *         severity:
+ *           type: string
+ *           enum: [info, warning, critical]
+ *           default: warning
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         cooldown:
+ *           type: number
+ *           description: Minutes after an alert before the rule can fire again for the same device
+ *           default: 15
+ *         devices:
+ *           type: array
+ *           description: Devices the rule applies to (all devices when devices and groups are empty)
+ *           items:
+ *             type: string
+ *         groups:
+ *           type: array
+ *           items:
+ *             type: string
+ *         speedLimit:
+ *           type: number
+ *           description: Speed limit in m/s (speeding)
+ *         duration:
+ *           type: number
+ *           description: Seconds the limit must be exceeded before the alert fires (speeding)
+ *         metadataKey:
+ *           type: string
+ *           description: Metadata key to check, e.g. battery (metadata)
+ *         operator:
+ *           type: string
+ *           enum: [lt, lte, gt, gte, eq, ne]
+ *         threshold:
+ *           oneOf:
+ *             - type: number
+ *             - type: string
+ *         schedule:
+ *           $ref: '#/components/schemas/GeofenceSchedule'
+ *         minSpeed:
+ *           type: number
+ *           description: Speed in m/s counted as movement during the curfew (defaults to TRIP_MIN_SPEED)
+ *         geofenceId:
+ *           type: string
+ *           description: Shared geofence that devices must not enter (zone)
+ */
+
+/**
+ * @swagger
+ * /api/alert-rules:
+ *   post:
+ *     summary: Create an alert rule
+ *     description: |
+ *       Rules are evaluated against every new fix of the devices they apply to. A
+ *       rule fires when its condition becomes true (e.g. the device enters the
+ *       zone, or its battery drops below the threshold) and not again until the
+ *       condition has cleared and the cooldown has passed.
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AlertRuleInput'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                   - type
+ *     responses:
+ *       201:
+ *         description: Alert rule created successfully
+ *       400:
+ *         description: Invalid rule definition
+ */
+router.post('/', authenticateAdmin, validate(createAlertRule), async (req, res, next) => {
+    try {
+        await assertRuleReferences(req.body);
+
+        const rule = await AlertRule.create(req.body);
+
+        res.status(201).json({
+            status: 'success',
+            data: { rule }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/alert-rules:
+ *   get:
+ *     summary: List alert rules
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [speeding, metadata, curfew, zone]
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: deviceId
+ *         description: Only rules assigned directly to this device
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: List of alert rules
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { type, deviceId, group } = req.query;
+        const enabled = parseBoolean(req.query.enabled, 'enabled');
+        const { page, limit } = parsePagination(req.query);
+
+        if (type && !AlertRule.RULE_TYPES.includes(type)) {
+            throw new ApiError(400, `type must be one of: ${AlertRule.RULE_TYPES.join(', ')}`);
+        }
+
+        const query = {};
+        if (type) query.type = type;
+        if (enabled !== undefined) query.enabled = enabled;
+        if (deviceId) query.devices = deviceId;
+        if (group) query.groups = group;
+
+        const [rules, total] = await Promise.all([
+            AlertRule.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-__v'),
+            AlertRule.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            results: rules.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            data: { rules }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/alert-rules/{ruleId}:
+ *   get:
+ *     summary: Get an alert rule
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert rule details
+ *       404:
+ *         description: Alert rule not found
+ */
+router.get('/:ruleId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const rule = await findAlertRule(req.params.ruleId);
+
+        res.status(200).json({
+            status: 'success',
+            data: { rule }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/alert-rules/{ruleId}:
+ *   patch:
+ *     summary: Update an alert rule
+ *     description: |
+ *       Only the provided fields are changed; the rule type cannot be changed.
+ *       Changing the condition restarts its evaluation for every device.
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRuleInput'
+ *     responses:
+ *       200:
+ *         description: Alert rule updated successfully
+ *       400:
+ *         description: Invalid rule definition
+ *       404:
+ *         description: Alert rule not found
+ */
+router.patch('/:ruleId', authenticateAdmin, validate(updateAlertRule), async (req, res, next) => {
+    try {
+        const rule = await findAlertRule(req.params.ruleId);
+
+        const { error, value } = mergeRuleUpdate(rule, req.body);
+        if (error) {
+            throw new ApiError(400, error.details.map(detail => detail.message).join(', '));
+        }
+        await assertRuleReferences(value);
+
+        const conditionChanged = CONDITION_FIELDS[rule.type].some(field => req.body[field] !== undefined);
+        for (const field of Object.keys(req.body)) {
+            rule.set(field, value[field]);
+        }
+        await rule.save();
+
+        if (conditionChanged) {
+            await clearRuleState(rule._id);
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: { rule }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/alert-rules/{ruleId}:
+ *   delete:
+ *     summary: Delete an alert rule
+ *     description: Alerts already raised by the rule are kept.
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Alert rule deleted successfully
+ *       404:
+ *         description: Alert rule not found
+ */
+router.delete('/:ruleId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const rule = await findAlertRule(req.params.ruleId);
+        await rule.deleteOne();
+        await clearRuleState(rule._id);
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const Alert = require('../models/alert.model');
+const AlertRule = require('../models/alert-rule.model');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+const { ApiError } = require('../middleware/error.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { parsePagination, parseTimeRange, assertObjectId } = require('../utils/query');
+const { alertAction } = require('../validators/alert.validator');
+const { publishAlert } = require('../services/alert.service');
+
+async function findAlert(alertId) {
+    assertObjectId(alertId, 'alert ID');
+
+    const alert = await Alert.findById(alertId);
+    if (!alert) {
+        throw new ApiError(404, 'Alert not found');
+    }
+    return alert;
+}
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: Get alerts raised by alert rules
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ruleId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [speeding, metadata, curfew, zone]
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [info, warning, critical]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Alerts retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { deviceId, ruleId, type, severity, status } = req.query;
+        const { startTime, endTime } = parseTimeRange(req.query);
+        const { page, limit } = parsePagination(req.query);
+
+        if (ruleId) assertObjectId(ruleId, 'alert rule ID');
+        if (type && !AlertRule.RULE_TYPES.includes(type)) {
+            throw new ApiError(400, `type must be one of: ${AlertRule.RULE_TYPES.join(', ')}`);
+        }
+        if (severity && !AlertRule.SEVERITIES.includes(severity)) {
+            throw new ApiError(400, `severity must be one of: ${AlertRule.SEVERITIES.join(', ')}`);
+        }
+        if (status && !Alert.ALERT_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${Alert.ALERT_STATUSES.join(', ')}`);
+        }
+
+        const { alerts, pagination } = await Alert.getAlerts(
+            { deviceId, ruleId, type, severity, status, startTime, endTime },
+            page,
+            limit
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: alerts.length,
+            pagination,
+            data: { alerts }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/alerts/{alertId}:
+ *   get:
+ *     summary: Get an alert
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert details
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/:alertId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const alert = await findAlert(req.params.alertId);
+
+        res.status(200).json({
+            status: 'success',
+            data: { alert }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/alerts/{alertId}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an open alert
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *       400:
+ *         description: Alert is not open
+ *       404:
+ *         description: Alert not found
+ */
+router.post('/:alertId/acknowledge', authenticateAdmin, validate(alertAction), async (req, res, next) => {
+    try {
+        const alert = await findAlert(req.params.alertId);
+        if (alert.status !== 'open') {
+            throw new ApiError(400, `Alert is already ${alert.status}`);
+        }
+
+        alert.status = 'acknowledged';
+        alert.acknowledgedAt = new Date();
+        alert.acknowledgedBy = req.user.username;
+        if (req.body.note) alert.note = req.body.note;
+        await alert.save();
+
+        await publishAlert('alert_updated', alert);
+
+        res.status(200).json({
+            status: 'success',
+            data: { alert }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/alerts/{alertId}/resolve:
+ *   post:
+ *     summary: Resolve an open or acknowledged alert
+ *     tags: [Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Alert resolved
+ *       400:
+ *         description: Alert is already resolved
+ *       404:
+ *         description: Alert not found
+ */
+router.post('/:alertId/resolve', authenticateAdmin, validate(alertAction), async (req, res, next) => {
+    try {
+        const alert = await findAlert(req.params.alertId);
+        if (alert.status === 'resolved') {
+            throw new ApiError(400, 'Alert is already resolved');
+        }
+
+        alert.status = 'resolved';
+        alert.resolvedAt = new Date();
+        alert.resolvedBy = req.user.username;
+        if (req.body.note) alert.note = req.body.note;
+        await alert.save();
+
+        await publishAlert('alert_updated', alert);
+
+        res.status(200).json({
+            status: 'success',
+            data: { alert }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const Device = require('../models/device.model');
+const Geofence = require('../models/geofence.model');
+const GeofenceEvent = require('../models/geofence-event.model');
+const GeofenceVisit = require('../models/geofence-visit.model');
+const Trip = require('../models/trip.model');
+const Stop = require('../models/stop.model');
+const Location = require('../models/location.model');
+const DeviceStatusEvent = require('../models/device-status-event.model');
 const { authenticateAdmin } = require('../middleware/auth.middleware');
 const { ApiError } = require('../middleware/error.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { parsePagination, parseTimeRange, parseBoolean, assertObjectId } = require('../utils/query');
+const { createDeviceGeofence, updateDeviceGeofence } = require('../validators/geofence.validator');
+const {
+    registerDevice,
+    updateDeviceGroups,
+    updateOfflineTimeout,
+    nearbyQuery,
+    withinQuery,
+    statsQuery
+} = require('../validators/device.validator');
+const { bboxToPolygon } = require('../utils/geo');
+const { applyGeofenceUpdate, clearGeofenceState, clearLeftGroupGeofenceState } = require('../services/geofence.service');
+const { closeStaleTrips } = require('../services/trip.service');
+const { getDeviceStats } = require('../services/stats.service');
 
 /**
  * @swagger
@@ -26,6 +48,13 @@ const { ApiError } = require('../middleware/error.middleware');
  *                 type: string
  *               name:
  *                 type: string
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               offlineTimeout:
+ *                 type: number
+ *                 description: Minutes without a fix before the device is marked offline
  *     responses:
  *       201:
  *         description: Device registered successfully
@@ -34,13 +63,9 @@ const { ApiError } = require('../middleware/error.middleware');
  *       401:
  *         description: Unauthorized
  */
-router.post('/register', authenticateAdmin, async (req, res, next) => {
+router.post('/register', authenticateAdmin, validate(registerDevice), async (req, res, next) => {
     try {
-        const { deviceId, name } = req.body;
-
-        if (!deviceId || !name) {
-            throw new ApiError(400, 'Device ID and name are required');
-        }
+        const { deviceId, name, groups, offlineTimeout } = req.body;
 
         // Check if device already exists
         const existingDevice = await Device.findOne({ deviceId });
@@ -52,6 +77,8 @@ router.post('/register', authenticateAdmin, async (req, res, next) => {
         const device = new Device({
             deviceId,
             name,
+            groups,
+            offlineTimeout,
             apiKey: deviceId // Will be hashed in pre-save hook
         });
 
@@ -63,6 +90,9 @@ router.post('/register', authenticateAdmin, async (req, res, next) => {
                 device: {
                     deviceId: device.deviceId,
                     name: device.name,
+                    groups: device.groups,
+                    status: device.status,
+                    offlineTimeout: device.offlineTimeout,
                     apiKey: device.apiKey // Send API key only once during registration
                 }
             }
@@ -77,9 +107,16 @@ router.post('/register', authenticateAdmin, async (req, res, next) => {
  * /api/devices:
  *   get:
  *     summary: Get all devices
+ *     description: Each device includes its heartbeat status and lastSeenAt.
  *     tags: [Devices]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [online, offline]
  *     responses:
  *       200:
  *         description: List of all devices
@@ -88,7 +125,12 @@ router.post('/register', authenticateAdmin, async (req, res, next) => {
  */
 router.get('/', authenticateAdmin, async (req, res, next) => {
     try {
-        const devices = await Device.find()
+        const { status } = req.query;
+        if (status && !DeviceStatusEvent.DEVICE_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${DeviceStatusEvent.DEVICE_STATUSES.join(', ')}`);
+        }
+
+        const devices = await Device.find(status ? { status } : {})
             .select('-apiKey')
             .sort({ createdAt: -1 });
 
@@ -102,6 +144,153 @@ router.get('/', authenticateAdmin, async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/devices/nearby:
+ *   get:
+ *     summary: Find devices near a point
+ *     description: |
+ *       Returns devices whose last location is within radius meters of the point,
+ *       nearest first, each with its distance in meters. Devices that never
+ *       reported a location are excluded.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius
+ *         description: Search radius in meters
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *           maximum: 100000
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Devices sorted by distance
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/nearby', authenticateAdmin, validate(nearbyQuery, 'query'), async (req, res, next) => {
+    try {
+        const { lng, lat, radius, group, limit } = req.query;
+
+        const devices = await Device.findNearby([lng, lat], radius, { group, limit });
+
+        res.status(200).json({
+            status: 'success',
+            results: devices.length,
+            data: { devices }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/within:
+ *   post:
+ *     summary: Find devices inside an area
+ *     description: |
+ *       Without a time window, returns devices whose last location is inside the
+ *       area. With startTime and endTime, searches the location history instead
+ *       and returns every device that reported a fix inside the area during the
+ *       window, with the first and last time it was seen there.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               geometry:
+ *                 type: object
+ *                 description: GeoJSON Polygon or MultiPolygon (or use bbox)
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [Polygon, MultiPolygon]
+ *                   coordinates:
+ *                     type: array
+ *                     items: {}
+ *               bbox:
+ *                 type: array
+ *                 description: '[minLng, minLat, maxLng, maxLat] (or use geometry)'
+ *                 items:
+ *                   type: number
+ *               group:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Devices inside the area
+ *       400:
+ *         description: Invalid area or time window
+ */
+router.post('/within', authenticateAdmin, validate(withinQuery), async (req, res, next) => {
+    try {
+        const { group, startTime, endTime } = req.body;
+        const geometry = req.body.geometry || bboxToPolygon(req.body.bbox);
+
+        if (!startTime) {
+            const devices = await Device.findWithin(geometry, { group });
+
+            return res.status(200).json({
+                status: 'success',
+                results: devices.length,
+                data: { devices }
+            });
+        }
+
+        const deviceIds = group ?
+            await Device.find({ groups: group }).distinct('deviceId') :
+            undefined;
+        const visits = await Location.findDevicesWithin(geometry, startTime, endTime, { deviceIds });
+
+        const names = new Map(
+            (await Device.find({ deviceId: { $in: visits.map(visit => visit.deviceId) } }).select('deviceId name'))
+                .map(device => [device.deviceId, device.name])
+        );
+        const devices = visits.map(visit => ({ ...visit, name: names.get(visit.deviceId) }));
+
+        res.status(200).json({
+            status: 'success',
+            results: devices.length,
+            data: { devices }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * @swagger
  * /api/devices/{deviceId}:
@@ -142,9 +331,12 @@ router.get('/:deviceId', authenticateAdmin, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/devices/{deviceId}/geofences:
- *   post:
- *     summary: Add geofence for device
+ * /api/devices/{deviceId}/groups:
+ *   put:
+ *     summary: Set the groups a device belongs to
+ *     description: |
+ *       Shared geofences assigned to any of these groups apply to the device. Open
+ *       visits of geofences the device only had through a removed group are closed.
  *     tags: [Devices]
  *     security:
  *       - BearerAuth: []
@@ -161,44 +353,250 @@ router.get('/:deviceId', authenticateAdmin, async (req, res, next) => {
  *           schema:
  *             type: object
  *             required:
- *               - name
- *               - radius
- *               - center
+ *               - groups
  *             properties:
- *               name:
- *                 type: string
- *               radius:
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Device groups updated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Device not found
+ */
+router.put('/:deviceId/groups', authenticateAdmin, validate(updateDeviceGroups), async (req, res, next) => {
+    try {
+        const { groups } = req.body;
+
+        const previous = await Device.findOne({ deviceId: req.params.deviceId }).select('groups');
+        if (!previous) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        const device = await Device.findOneAndUpdate(
+            { deviceId: req.params.deviceId },
+            { groups: [...new Set(groups)] },
+            { new: true }
+        ).select('-apiKey');
+
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        await clearLeftGroupGeofenceState(
+            device,
+            (previous.groups || []).filter(group => !device.groups.includes(group))
+        );
+
+        res.status(200).json({
+            status: 'success',
+            data: { device }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/offline-timeout:
+ *   put:
+ *     summary: Set how long a device may be silent before it is marked offline
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - offlineTimeout
+ *             properties:
+ *               offlineTimeout:
  *                 type: number
- *               center:
- *                 type: object
- *                 properties:
- *                   coordinates:
- *                     type: array
- *                     items:
- *                       type: number
+ *                 nullable: true
+ *                 description: Minutes without a fix; null restores DEVICE_OFFLINE_TIMEOUT
  *     responses:
  *       200:
- *         description: Geofence added successfully
+ *         description: Offline timeout updated successfully
+ *       400:
+ *         description: Invalid input
  *       404:
  *         description: Device not found
  */
-router.post('/:deviceId/geofences', authenticateAdmin, async (req, res, next) => {
+router.put('/:deviceId/offline-timeout', authenticateAdmin, validate(updateOfflineTimeout), async (req, res, next) => {
     try {
-        const { name, radius, center } = req.body;
+        const { offlineTimeout } = req.body;
+
+        const update = offlineTimeout === null ?
+            { $unset: { offlineTimeout: 1 } } :
+            { offlineTimeout };
+        const device = await Device.findOneAndUpdate(
+            { deviceId: req.params.deviceId },
+            update,
+            { new: true }
+        ).select('-apiKey');
 
-        const device = await Device.findOne({ deviceId: req.params.deviceId });
         if (!device) {
             throw new ApiError(404, 'Device not found');
         }
 
-        device.geofences.push({
-            name,
-            radius,
-            center: {
-                type: 'Point',
-                coordinates: center.coordinates
-            }
+        res.status(200).json({
+            status: 'success',
+            data: { device }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/status-events:
+ *   get:
+ *     summary: Get online/offline transitions of a device
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [online, offline]
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Status transitions retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/status-events', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        const { startTime, endTime } = parseTimeRange(req.query);
+        const { page, limit } = parsePagination(req.query);
+
+        if (status && !DeviceStatusEvent.DEVICE_STATUSES.includes(status)) {
+            throw new ApiError(400, `status must be one of: ${DeviceStatusEvent.DEVICE_STATUSES.join(', ')}`);
+        }
+
+        const device = await Device.exists({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        const { events, pagination } = await DeviceStatusEvent.getStatusEvents(
+            { deviceId: req.params.deviceId, status, startTime, endTime },
+            page,
+            limit
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: events.length,
+            pagination,
+            data: { events }
         });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Find a device and one of its embedded geofences, or throw 404
+async function findDeviceGeofence(deviceId, geofenceId) {
+    assertObjectId(geofenceId, 'geofence ID');
+
+    const device = await Device.findOne({ deviceId });
+    if (!device) {
+        throw new ApiError(404, 'Device not found');
+    }
+
+    const geofence = device.geofences.id(geofenceId);
+    if (!geofence) {
+        throw new ApiError(404, 'Geofence not found');
+    }
+
+    return { device, geofence };
+}
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/geofences:
+ *   post:
+ *     summary: Add geofence for device
+ *     description: |
+ *       Adds a circular geofence (center + radius) or a polygon geofence defined by a
+ *       GeoJSON Polygon or MultiPolygon geometry. Polygon rings must be closed and
+ *       additional rings of a polygon are treated as holes.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeofenceInput'
+ *     responses:
+ *       200:
+ *         description: Geofence added successfully
+ *       400:
+ *         description: Invalid geofence definition
+ *       404:
+ *         description: Device not found
+ */
+router.post('/:deviceId/geofences', authenticateAdmin, validate(createDeviceGeofence), async (req, res, next) => {
+    try {
+        const device = await Device.findOne({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        device.geofences.push(req.body);
 
         await device.save();
 
@@ -211,4 +609,600 @@ router.post('/:deviceId/geofences', authenticateAdmin, async (req, res, next) =>
     }
 });
 
+/**
+ * @swagger
+ * /api/devices/{deviceId}/geofences:
+ *   get:
+ *     summary: List geofences for a device
+ *     description: |
+ *       Returns the geofences defined on the device and the shared geofences
+ *       assigned to it directly or through one of its groups.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Geofences retrieved successfully
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/geofences', authenticateAdmin, async (req, res, next) => {
+    try {
+        const device = await Device.findOne({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        const sharedGeofences = await Geofence.findForDevice(device);
+
+        res.status(200).json({
+            status: 'success',
+            results: device.geofences.length,
+            data: {
+                geofences: device.geofences,
+                sharedGeofences
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/geofences/{geofenceId}:
+ *   get:
+ *     summary: Get a geofence of a device
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: geofenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Geofence details
+ *       404:
+ *         description: Device or geofence not found
+ */
+router.get('/:deviceId/geofences/:geofenceId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { geofence } = await findDeviceGeofence(req.params.deviceId, req.params.geofenceId);
+
+        res.status(200).json({
+            status: 'success',
+            data: { geofence }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/geofences/{geofenceId}:
+ *   patch:
+ *     summary: Update a geofence of a device
+ *     description: |
+ *       Renames, resizes, moves, reshapes, enables/disables or reschedules a geofence.
+ *       Only the provided fields are changed; set schedule to null to remove it.
+ *       Disabling the geofence closes its open visits.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: geofenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeofenceInput'
+ *     responses:
+ *       200:
+ *         description: Geofence updated successfully
+ *       400:
+ *         description: Invalid geofence definition
+ *       404:
+ *         description: Device or geofence not found
+ */
+router.patch('/:deviceId/geofences/:geofenceId', authenticateAdmin, validate(updateDeviceGeofence), async (req, res, next) => {
+    try {
+        const { device, geofence } = await findDeviceGeofence(req.params.deviceId, req.params.geofenceId);
+
+        const disabled = applyGeofenceUpdate(geofence, req.body);
+        await device.save();
+        if (disabled) {
+            await clearGeofenceState(geofence._id, undefined, new Date());
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: { geofence }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/geofences/{geofenceId}:
+ *   delete:
+ *     summary: Remove a geofence from a device
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: geofenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Geofence removed successfully
+ *       404:
+ *         description: Device or geofence not found
+ */
+router.delete('/:deviceId/geofences/:geofenceId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { device, geofence } = await findDeviceGeofence(req.params.deviceId, req.params.geofenceId);
+
+        geofence.deleteOne();
+        await device.save();
+        await clearGeofenceState(geofence._id);
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/geofence-events:
+ *   get:
+ *     summary: Get geofence events (enter, exit, dwell, overstay) for a device
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: geofenceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [enter, exit, dwell, overstay]
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Geofence events retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/geofence-events', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { geofenceId, type } = req.query;
+        const { startTime, endTime } = parseTimeRange(req.query);
+        const { page, limit } = parsePagination(req.query);
+
+        if (geofenceId) assertObjectId(geofenceId, 'geofence ID');
+        if (type && !GeofenceEvent.EVENT_TYPES.includes(type)) {
+            throw new ApiError(400, `type must be one of: ${GeofenceEvent.EVENT_TYPES.join(', ')}`);
+        }
+
+        const device = await Device.exists({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        const { events, pagination } = await GeofenceEvent.getEvents(
+            { deviceId: req.params.deviceId, geofenceId, eventType: type, startTime, endTime },
+            page,
+            limit
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: events.length,
+            pagination,
+            data: { events }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/geofence-visits:
+ *   get:
+ *     summary: Get geofence visits for a device
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: geofenceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: open
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Geofence visits retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/geofence-visits', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { geofenceId } = req.query;
+        const { startTime, endTime } = parseTimeRange(req.query);
+        const { page, limit } = parsePagination(req.query);
+        const open = parseBoolean(req.query.open, 'open');
+
+        if (geofenceId) assertObjectId(geofenceId, 'geofence ID');
+
+        const device = await Device.exists({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        const { visits, pagination } = await GeofenceVisit.getVisits(
+            { deviceId: req.params.deviceId, geofenceId, startTime, endTime, open },
+            page,
+            limit
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: visits.length,
+            pagination,
+            data: { visits }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/trips:
+ *   get:
+ *     summary: Get trip history for a device
+ *     description: |
+ *       Trips are segmented from the location stream: a trip starts when the device
+ *       moves at TRIP_MIN_SPEED or faster and ends after TRIP_IDLE_TIMEOUT minutes
+ *       without movement.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed]
+ *       - in: query
+ *         name: startTime
+ *         description: Only trips started at or after this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         description: Only trips started at or before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Trips retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/trips', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { status } = req.query;
+        const { startTime, endTime } = parseTimeRange(req.query);
+        const { page, limit } = parsePagination(req.query);
+
+        if (status && !['active', 'completed'].includes(status)) {
+            throw new ApiError(400, 'status must be one of: active, completed');
+        }
+
+        const device = await Device.exists({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        // Trips of a device that stopped reporting are completed lazily
+        await closeStaleTrips(req.params.deviceId);
+
+        const { trips, pagination } = await Trip.getTrips(
+            { deviceId: req.params.deviceId, status, startTime, endTime },
+            page,
+            limit
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: trips.length,
+            pagination,
+            data: { trips }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/stops:
+ *   get:
+ *     summary: Get stops for a device
+ *     description: |
+ *       A stop is a cluster of consecutive fixes slower than STOP_MAX_SPEED m/s and
+ *       within STOP_RADIUS meters of each other, lasting at least STOP_MIN_DURATION
+ *       minutes. Each stop has a centroid, arrival and departure time and a duration
+ *       in seconds. Stops still in progress have status 'open'.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startTime
+ *         description: Only stops that ended at or after this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         description: Only stops that started at or before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minDuration
+ *         description: Minimum stop duration in minutes
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Stops retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/stops', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { startTime, endTime } = parseTimeRange(req.query);
+        const { page, limit } = parsePagination(req.query);
+
+        let minDuration;
+        if (req.query.minDuration !== undefined) {
+            minDuration = Number(req.query.minDuration);
+            if (!Number.isFinite(minDuration) || minDuration < 0) {
+                throw new ApiError(400, 'minDuration must be a non-negative number of minutes');
+            }
+        }
+
+        const device = await Device.exists({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        const { stops, pagination } = await Stop.getStops(
+            {
+                deviceId: req.params.deviceId,
+                startTime,
+                endTime,
+                minDuration: minDuration !== undefined ? minDuration * 60 : undefined
+            },
+            page,
+            limit
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: stops.length,
+            pagination,
+            data: { stops }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/devices/{deviceId}/stats:
+ *   get:
+ *     summary: Get distance, speed and activity statistics for a device
+ *     description: |
+ *       Aggregates the device's location history per interval bucket: distance
+ *       travelled (meters), moving and idle time (seconds), max speed and average
+ *       moving speed (m/s), number of fixes and trips started. A device counts as
+ *       moving at or above TRIP_MIN_SPEED; gaps longer than TRIP_IDLE_TIMEOUT
+ *       between fixes count as neither. Defaults to the last 7 days.
+ *     tags: [Devices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: timezone
+ *         description: IANA timezone used for bucket boundaries
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/stats', authenticateAdmin, validate(statsQuery, 'query'), async (req, res, next) => {
+    try {
+        const device = await Device.exists({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        // Count trips of a device that stopped reporting
+        await closeStaleTrips(req.params.deviceId);
+
+        const stats = await getDeviceStats(req.params.deviceId, req.query);
+
+        res.status(200).json({
+            status: 'success',
+            data: { deviceId: req.params.deviceId, ...stats }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
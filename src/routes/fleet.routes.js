@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { fleetFilter } = require('../validators/device.validator');
+const { getFleetSnapshot } = require('../services/fleet.service');
+
+/**
+ * @swagger
+ * /api/fleet/live:
+ *   get:
+ *     summary: Live snapshot of the fleet
+ *     description: |
+ *       Returns every device with its last position and speed, the age of
+ *       that fix in seconds, its heartbeat status and lastSeenAt, and the
+ *       geofences it is currently inside. WebSocket clients can subscribe to the same view with
+ *       {"type": "subscribe_fleet"} to receive changes as they happen.
+ *     tags: [Fleet]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [online, offline]
+ *       - in: query
+ *         name: bbox
+ *         description: minLng,minLat,maxLng,maxLat
+ *         schema:
+ *           type: string
+ *           example: 13.3,52.4,13.5,52.6
+ *     responses:
+ *       200:
+ *         description: Fleet snapshot
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/live', authenticateAdmin, validate(fleetFilter, 'query'), async (req, res, next) => {
+    try {
+        const devices = await getFleetSnapshot(req.query);
+
+        res.status(200).json({
+            status: 'success',
+            results: devices.length,
+            data: {
+                timestamp: new Date(),
+                devices
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const GeofenceEvent = require('../models/geofence-event.model');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+const { ApiError } = require('../middleware/error.middleware');
+const { parsePagination, parseTimeRange, assertObjectId } = require('../utils/query');
+
+/**
+ * @swagger
+ * /api/geofence-events:
+ *   get:
+ *     summary: Get geofence events across all devices
+ *     tags: [Geofence Events]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: geofenceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [enter, exit, dwell, overstay]
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Geofence events retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { deviceId, geofenceId, type } = req.query;
+        const { startTime, endTime } = parseTimeRange(req.query);
+        const { page, limit } = parsePagination(req.query);
+
+        if (geofenceId) assertObjectId(geofenceId, 'geofence ID');
+        if (type && !GeofenceEvent.EVENT_TYPES.includes(type)) {
+            throw new ApiError(400, `type must be one of: ${GeofenceEvent.EVENT_TYPES.join(', ')}`);
+        }
+
+        const { events, pagination } = await GeofenceEvent.getEvents(
+            { deviceId, geofenceId, eventType: type, startTime, endTime },
+            page,
+            limit
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: events.length,
+            pagination,
+            data: { events }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const GeofenceVisit = require('../models/geofence-visit.model');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+const { parsePagination, parseTimeRange, parseBoolean, assertObjectId } = require('../utils/query');
+
+/**
+ * @swagger
+ * /api/geofence-visits:
+ *   get:
+ *     summary: Get geofence visits across all devices
+ *     description: |
+ *       A visit spans from a device entering a geofence until it exits. Open visits
+ *       (device still inside) have no exitedAt/duration yet.
+ *     tags: [Geofence Events]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: geofenceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: open
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: startTime
+ *         description: Only visits entered at or after this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         description: Only visits entered at or before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Geofence visits retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { deviceId, geofenceId } = req.query;
+        const { startTime, endTime } = parseTimeRange(req.query);
+        const { page, limit } = parsePagination(req.query);
+        const open = parseBoolean(req.query.open, 'open');
+
+        if (geofenceId) assertObjectId(geofenceId, 'geofence ID');
+
+        const { visits, pagination } = await GeofenceVisit.getVisits(
+            { deviceId, geofenceId, startTime, endTime, open },
+            page,
+            limit
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: visits.length,
+            pagination,
+            data: { visits }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/geofence-visits/summary:
+ *   get:
+ *     summary: Time spent by each device at each geofence
+ *     description: |
+ *       Aggregates visits per device and geofence. Durations are in seconds; visits
+ *       that are still open count up to the current time.
+ *     tags: [Geofence Events]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: geofenceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Time spent summary retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/summary', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { deviceId, geofenceId } = req.query;
+        const { startTime, endTime } = parseTimeRange(req.query);
+
+        if (geofenceId) assertObjectId(geofenceId, 'geofence ID');
+
+        const summary = await GeofenceVisit.getTimeSpentSummary({ deviceId, geofenceId, startTime, endTime });
+
+        res.status(200).json({
+            status: 'success',
+            results: summary.length,
+            data: { summary }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
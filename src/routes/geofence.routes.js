@@ -0,0 +1,451 @@
+const express = require('express');
+const router = express.Router();
+const Geofence = require('../models/geofence.model');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+const { ApiError } = require('../middleware/error.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { parsePagination, assertObjectId, assertDevicesExist } = require('../utils/query');
+const { createGeofence, updateGeofence, assignGeofence } = require('../validators/geofence.validator');
+const { applyGeofenceUpdate, clearGeofenceState, clearUnassignedGeofenceState } = require('../services/geofence.service');
+
+async function findGeofence(geofenceId) {
+    assertObjectId(geofenceId, 'geofence ID');
+
+    const geofence = await Geofence.findById(geofenceId);
+    if (!geofence) {
+        throw new ApiError(404, 'Geofence not found');
+    }
+    return geofence;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GeofenceSchedule:
+ *       type: object
+ *       description: Weekly window during which the geofence is evaluated
+ *       required:
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         days:
+ *           type: array
+ *           description: Days of week (0 = Sunday). Defaults to every day.
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *         startTime:
+ *           type: string
+ *           example: '08:00'
+ *         endTime:
+ *           type: string
+ *           example: '18:00'
+ *         timezone:
+ *           type: string
+ *           default: UTC
+ *           example: Europe/Berlin
+ *     GeofenceInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         shape:
+ *           type: string
+ *           enum: [circle, polygon]
+ *           default: circle
+ *         radius:
+ *           type: number
+ *           description: Radius in meters (circle only)
+ *         center:
+ *           type: object
+ *           description: Center point (circle only)
+ *           properties:
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *         geometry:
+ *           type: object
+ *           description: GeoJSON Polygon or MultiPolygon (polygon only)
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Polygon, MultiPolygon]
+ *             coordinates:
+ *               type: array
+ *               items: {}
+ *         hysteresis:
+ *           type: number
+ *           description: |
+ *             Meters beyond the boundary a device must move before an exit is recorded
+ *             (defaults to GEOFENCE_HYSTERESIS)
+ *         dwellTime:
+ *           type: number
+ *           description: Minutes inside the geofence after which a 'dwell' event fires
+ *         maxDwellTime:
+ *           type: number
+ *           description: Minutes inside the geofence after which an 'overstay' event fires
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         schedule:
+ *           $ref: '#/components/schemas/GeofenceSchedule'
+ */
+
+/**
+ * @swagger
+ * /api/geofences:
+ *   post:
+ *     summary: Create a shared geofence
+ *     description: |
+ *       Creates a circular or polygon geofence that can be assigned to many devices,
+ *       either directly or through device groups.
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/GeofenceInput'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                 properties:
+ *                   description:
+ *                     type: string
+ *                   devices:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   groups:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Geofence created successfully
+ *       400:
+ *         description: Invalid geofence definition
+ */
+router.post('/', authenticateAdmin, validate(createGeofence), async (req, res, next) => {
+    try {
+        await assertDevicesExist(req.body.devices || []);
+
+        const geofence = await Geofence.create(req.body);
+
+        res.status(201).json({
+            status: 'success',
+            data: { geofence }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/geofences:
+ *   get:
+ *     summary: List shared geofences
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deviceId
+ *         description: Only geofences assigned directly to this device
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: List of geofences
+ */
+router.get('/', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { deviceId, group } = req.query;
+        const { page, limit } = parsePagination(req.query);
+
+        const query = {};
+        if (deviceId) query.devices = deviceId;
+        if (group) query.groups = group;
+
+        const [geofences, total] = await Promise.all([
+            Geofence.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-__v'),
+            Geofence.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            results: geofences.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            data: { geofences }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/geofences/{geofenceId}:
+ *   get:
+ *     summary: Get a shared geofence
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: geofenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Geofence details
+ *       404:
+ *         description: Geofence not found
+ */
+router.get('/:geofenceId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const geofence = await findGeofence(req.params.geofenceId);
+
+        res.status(200).json({
+            status: 'success',
+            data: { geofence }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/geofences/{geofenceId}:
+ *   patch:
+ *     summary: Update a shared geofence
+ *     description: |
+ *       Updates the name, description, shape, enabled flag or schedule of a geofence.
+ *       Only the provided fields are changed; set schedule to null to remove it.
+ *       Disabling the geofence closes its open visits.
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: geofenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/GeofenceInput'
+ *               - type: object
+ *                 properties:
+ *                   description:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Geofence updated successfully
+ *       400:
+ *         description: Invalid geofence definition
+ *       404:
+ *         description: Geofence not found
+ */
+router.patch('/:geofenceId', authenticateAdmin, validate(updateGeofence), async (req, res, next) => {
+    try {
+        const geofence = await findGeofence(req.params.geofenceId);
+
+        const disabled = applyGeofenceUpdate(geofence, req.body);
+        await geofence.save();
+        if (disabled) {
+            await clearGeofenceState(geofence._id, undefined, new Date());
+        }
+
+        res.status(200).json({
+            status: 'success',
+            data: { geofence }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/geofences/{geofenceId}:
+ *   delete:
+ *     summary: Delete a shared geofence
+ *     description: Open visits of the geofence are closed at the time of deletion.
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: geofenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Geofence deleted successfully
+ *       404:
+ *         description: Geofence not found
+ */
+router.delete('/:geofenceId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const geofence = await findGeofence(req.params.geofenceId);
+        await geofence.deleteOne();
+        await clearGeofenceState(geofence._id);
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/geofences/{geofenceId}/assign:
+ *   post:
+ *     summary: Assign a shared geofence to devices and/or device groups
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: geofenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               devices:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Geofence assigned successfully
+ *       400:
+ *         description: Invalid input or unknown devices
+ *       404:
+ *         description: Geofence not found
+ */
+router.post('/:geofenceId/assign', authenticateAdmin, validate(assignGeofence), async (req, res, next) => {
+    try {
+        const geofence = await findGeofence(req.params.geofenceId);
+        const { devices = [], groups = [] } = req.body;
+        await assertDevicesExist(devices);
+
+        geofence.devices.addToSet(...devices);
+        geofence.groups.addToSet(...groups);
+        await geofence.save();
+
+        res.status(200).json({
+            status: 'success',
+            data: { geofence }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/geofences/{geofenceId}/unassign:
+ *   post:
+ *     summary: Remove a shared geofence from devices and/or device groups
+ *     description: |
+ *       Devices the geofence no longer applies to lose their inside/outside state, and
+ *       their open visits are closed at the time of removal.
+ *     tags: [Geofences]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: geofenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               devices:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Geofence unassigned successfully
+ *       404:
+ *         description: Geofence not found
+ */
+router.post('/:geofenceId/unassign', authenticateAdmin, validate(assignGeofence), async (req, res, next) => {
+    try {
+        const geofence = await findGeofence(req.params.geofenceId);
+        const { devices = [], groups = [] } = req.body;
+
+        geofence.devices.pull(...devices);
+        geofence.groups.pull(...groups);
+        await geofence.save();
+        await clearUnassignedGeofenceState(geofence, devices, groups);
+
+        res.status(200).json({
+            status: 'success',
+            data: { geofence }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const Location = require('../models/location.model');
+const Device = require('../models/device.model');
 const { authenticateDevice, authenticateAdmin } = require('../middleware/auth.middleware');
 const { ApiError } = require('../middleware/error.middleware');
-const { broadcastLocation, broadcastGeofenceEvent } = require('../services/websocket.service');
+const { validate } = require('../middleware/validate.middleware');
+const { ingestLocation, ingestBatch, importHistory } = require('../services/ingestion.service');
+const {
+    locationBatch,
+    historyQuery,
+    exportQuery,
+    importQuery,
+    IMPORT_FORMATS,
+    DEFAULT_HISTORY_PAGE
+} = require('../validators/location.validator');
+const { pipeCursor } = require('../utils/stream');
+const { reduceTrack, reduceTrackStream } = require('../utils/track');
+const formats = require('../formats');
+
+// Track files are uploaded as the raw request body
+const readTrackFile = express.text({ type: () => true, limit: process.env.IMPORT_BODY_LIMIT || '50mb' });
+
+// Import format from the query string, or from the upload's Content-Type
+function resolveImportFormat(req) {
+    if (req.query.format) return req.query.format;
+
+    const format = IMPORT_FORMATS.find(name => req.is(formats[name].mediaTypes));
+    if (!format) {
+        throw new ApiError(400, `Unable to detect the file format; pass format=${IMPORT_FORMATS.join('|')}`);
+    }
+    return format;
+}
 
 /**
  * @swagger
@@ -32,79 +59,102 @@ const { broadcastLocation, broadcastGeofenceEvent } = require('../services/webso
  *                 type: number
  *               accuracy:
  *                 type: number
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *                 description: |
+ *                   Time the fix was recorded (ISO 8601 or epoch milliseconds). Defaults to
+ *                   the time it was received. Must be within LOCATION_MAX_FUTURE_SKEW seconds
+ *                   of server time and not older than MAX_LOCATION_HISTORY_DAYS.
  *               metadata:
  *                 type: object
  *     responses:
  *       201:
- *         description: Location data saved successfully
+ *         description: |
+ *           Location data saved successfully. outOfOrder is true when the fix was recorded
+ *           before the device's last location; it is kept in the history only.
+ *       400:
+ *         description: Invalid location data
  *       401:
  *         description: Unauthorized
  */
 router.post('/', authenticateDevice, async (req, res, next) => {
     try {
-        const { coordinates, altitude, speed, accuracy, metadata } = req.body;
-
-        if (!coordinates || !Array.isArray(coordinates) || coordinates.length !== 2) {
-            throw new ApiError(400, 'Valid coordinates are required');
-        }
-
-        // Create location record
-        const location = new Location({
-            deviceId: req.device.deviceId,
-            location: {
-                type: 'Point',
-                coordinates
-            },
-            altitude,
-            speed,
-            accuracy,
-            metadata: new Map(Object.entries(metadata || {}))
-        });
+        const { location, outOfOrder } = await ingestLocation(req.device, req.body);
 
-        await location.save();
-
-        // Update device's last location
-        req.device.lastLocation = {
-            type: 'Point',
-            coordinates,
-            timestamp: new Date()
-        };
-        await req.device.save();
-
-        // Broadcast location update via WebSocket
-        broadcastLocation(req.device.deviceId, {
-            coordinates,
-            altitude,
-            speed,
-            accuracy,
-            timestamp: location.timestamp
+        res.status(201).json({
+            status: 'success',
+            data: { location, outOfOrder }
         });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Check geofences
-        if (req.device.geofences && req.device.geofences.length > 0) {
-            for (const geofence of req.device.geofences) {
-                const distance = calculateDistance(
-                    coordinates,
-                    geofence.center.coordinates
-                );
-
-                const wasInside = req.device.lastLocation ? 
-                    calculateDistance(req.device.lastLocation.coordinates, geofence.center.coordinates) <= geofence.radius :
-                    false;
-                
-                const isInside = distance <= geofence.radius;
-
-                if (!wasInside && isInside) {
-                    broadcastGeofenceEvent(req.device.deviceId, 'enter', geofence);
-                } else if (wasInside && !isInside) {
-                    broadcastGeofenceEvent(req.device.deviceId, 'exit', geofence);
-                }
-            }
-        }
+/**
+ * @swagger
+ * /api/locations/batch:
+ *   post:
+ *     summary: Submit buffered location data in bulk
+ *     description: |
+ *       Accepts up to LOCATION_BATCH_MAX (default 1000) fixes recorded by a device while
+ *       it was offline. Each fix is validated on its own and reported as accepted or
+ *       rejected. Accepted fixes are
+ *       stored in one bulk insert and checked against geofences in the order they were
+ *       recorded; only the newest one updates the device's last location and is broadcast.
+ *       Fixes recorded before the device's last location are stored but flagged outOfOrder.
+ *     tags: [Locations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - locations
+ *             properties:
+ *               locations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - coordinates
+ *                   properties:
+ *                     coordinates:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                     altitude:
+ *                       type: number
+ *                     speed:
+ *                       type: number
+ *                     accuracy:
+ *                       type: number
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Time the fix was recorded (ISO 8601 or epoch milliseconds)
+ *                     metadata:
+ *                       type: object
+ *     responses:
+ *       201:
+ *         description: At least one fix was accepted; per-item results are included
+ *       400:
+ *         description: Invalid request or every fix was rejected
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/batch', authenticateDevice, validate(locationBatch), async (req, res, next) => {
+    try {
+        const { accepted, rejected, results } = await ingestBatch(req.device, req.body.locations);
 
-        res.status(201).json({
-            status: 'success',
-            data: { location }
+        res.status(accepted > 0 ? 201 : 400).json({
+            status: accepted > 0 ? 'success' : 'fail',
+            accepted,
+            rejected,
+            data: { results }
         });
     } catch (error) {
         next(error);
@@ -116,6 +166,15 @@ router.post('/', authenticateDevice, async (req, res, next) => {
  * /api/locations/{deviceId}/history:
  *   get:
  *     summary: Get location history for a device
+ *     description: |
+ *       Returns one page of history ordered by timestamp. Pass the returned
+ *       pagination.nextCursor as cursor to fetch the next page. With format=ndjson
+ *       (or Accept application/x-ndjson) the whole window is streamed as
+ *       newline-delimited JSON instead, one location per line.
+ *
+ *       simplify and interval reduce the track for display; the stored history is
+ *       not changed. On paged responses they apply to each page, while a stream
+ *       is reduced as a whole. location is always returned when simplify is set.
  *     tags: [Locations]
  *     security:
  *       - BearerAuth: []
@@ -135,26 +194,258 @@ router.post('/', authenticateDevice, async (req, res, next) => {
  *         schema:
  *           type: string
  *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         description: Page size (ignored when streaming unless given)
+ *         schema:
+ *           type: integer
+ *           default: 1000
+ *           maximum: 10000
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: fields
+ *         description: Comma separated fields to return (_id and timestamp are always included)
+ *         schema:
+ *           type: string
+ *           example: location,speed
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, ndjson]
+ *           default: json
+ *       - in: query
+ *         name: simplify
+ *         description: Douglas-Peucker tolerance in meters
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: interval
+ *         description: Keep at most one location per this many seconds
+ *         schema:
+ *           type: number
  *     responses:
  *       200:
  *         description: Location history retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
  *       404:
  *         description: Device not found
  */
-router.get('/:deviceId/history', authenticateAdmin, async (req, res, next) => {
+router.get('/:deviceId/history', authenticateAdmin, validate(historyQuery, 'query'), async (req, res, next) => {
     try {
-        const { startTime, endTime } = req.query;
-        const locations = await Location.getLocationHistory(
+        const { startTime, endTime, limit, order, format, simplify, interval } = req.query;
+        const fields = simplify && req.query.fields && !req.query.fields.includes('location') ?
+            [...req.query.fields, 'location'] :
+            req.query.fields;
+
+        let cursor;
+        if (req.query.cursor) {
+            cursor = Location.decodeCursor(req.query.cursor);
+            if (!cursor) {
+                throw new ApiError(400, 'Invalid cursor');
+            }
+        }
+
+        const streaming = format === 'ndjson' ||
+            req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson';
+        if (streaming) {
+            const openCursor = await reduceTrackStream(
+                () => Location.streamLocationHistory(req.params.deviceId, startTime, endTime, { limit, cursor, order, fields }),
+                { interval, simplify }
+            );
+
+            res.status(200).type('application/x-ndjson');
+            await pipeCursor(openCursor(), res, location => `${JSON.stringify(location)}\n`);
+            return res.end();
+        }
+
+        const pageSize = limit || DEFAULT_HISTORY_PAGE;
+        const { locations: page, nextCursor } = await Location.getLocationHistory(
             req.params.deviceId,
             startTime,
-            endTime
+            endTime,
+            { limit: pageSize, cursor, order, fields }
         );
+        const locations = reduceTrack(page, { interval, simplify });
 
         res.status(200).json({
             status: 'success',
             results: locations.length,
+            pagination: {
+                limit: pageSize,
+                order,
+                nextCursor,
+                hasMore: nextCursor !== null
+            },
             data: { locations }
         });
+    } catch (error) {
+        if (res.headersSent) return res.destroy(error);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/locations/{deviceId}/export:
+ *   get:
+ *     summary: Export location history as a track file
+ *     description: |
+ *       Streams the device's track for the time window, oldest fix first, as a
+ *       downloadable GPX, KML, GeoJSON or CSV file. Altitude, speed, accuracy and
+ *       metadata are included where the format allows (GPX extensions, KML
+ *       ExtendedData, GeoJSON properties, CSV columns). simplify and interval
+ *       export a reduced track.
+ *     tags: [Locations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [gpx, kml, geojson, csv]
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: simplify
+ *         description: Douglas-Peucker tolerance in meters
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: interval
+ *         description: Keep at most one location per this many seconds
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Track file
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:deviceId/export', authenticateAdmin, validate(exportQuery, 'query'), async (req, res, next) => {
+    try {
+        const { deviceId } = req.params;
+        const { format, startTime, endTime, simplify, interval } = req.query;
+
+        const device = await Device.findOne({ deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        const writer = formats[format];
+        const openCursor = await reduceTrackStream(
+            () => Location.streamLocationHistory(deviceId, startTime, endTime, { order: 'asc' }),
+            { interval, simplify }
+        );
+
+        res.status(200)
+            .type(writer.contentType)
+            .attachment(`${deviceId}.${writer.extension}`);
+
+        await writer.write(res, openCursor, { deviceId, name: device.name || deviceId });
+        if (!res.destroyed) res.end();
+    } catch (error) {
+        if (res.headersSent) return res.destroy(error);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/locations/{deviceId}/import:
+ *   post:
+ *     summary: Import historical locations from a track file
+ *     description: |
+ *       Imports a GPX, CSV or GeoJSON file sent as the request body. Every point
+ *       needs a recorded time and is validated like a live fix. Points whose
+ *       timestamp already exists for the device (or repeats within the file) are
+ *       skipped as duplicates. Imported fixes are stored in the history only:
+ *       they are not broadcast and do not update the device's last location,
+ *       geofence events, trips or stops.
+ *     tags: [Locations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         description: File format; detected from Content-Type when omitted
+ *         schema:
+ *           type: string
+ *           enum: [gpx, csv, geojson]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/gpx+xml:
+ *           schema:
+ *             type: string
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/geo+json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Nothing new was imported; the report lists duplicates and rejections
+ *       201:
+ *         description: Locations imported; the report lists duplicates and rejections
+ *       400:
+ *         description: Unreadable file or unknown format
+ *       404:
+ *         description: Device not found
+ */
+router.post('/:deviceId/import', authenticateAdmin, validate(importQuery, 'query'), readTrackFile, async (req, res, next) => {
+    try {
+        const device = await Device.findOne({ deviceId: req.params.deviceId });
+        if (!device) {
+            throw new ApiError(404, 'Device not found');
+        }
+
+        const format = resolveImportFormat(req);
+        const isText = typeof req.body === 'string';
+        if ((isText && req.body.trim() === '') || (!isText && format !== 'geojson')) {
+            throw new ApiError(400, 'Send the track file as the request body');
+        }
+
+        const fixes = formats[format].parse(req.body);
+        const report = await importHistory(device, fixes);
+
+        res.status(report.imported > 0 ? 201 : 200).json({
+            status: 'success',
+            data: { format, ...report }
+        });
     } catch (error) {
         next(error);
     }
@@ -197,24 +488,4 @@ router.get('/:deviceId/latest', authenticateAdmin, async (req, res, next) => {
     }
 });
 
-// Helper function to calculate distance between two points in meters
-function calculateDistance(point1, point2) {
-    const [lon1, lat1] = point1;
-    const [lon2, lat2] = point2;
-    
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI/180;
-    const φ2 = lat2 * Math.PI/180;
-    const Δφ = (lat2-lat1) * Math.PI/180;
-    const Δλ = (lon2-lon1) * Math.PI/180;
-
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-    return R * c;
-}
-
 module.exports = router; 
\ No newline at end of file
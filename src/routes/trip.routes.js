@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const Trip = require('../models/trip.model');
+const Location = require('../models/location.model');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+const { ApiError } = require('../middleware/error.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { assertObjectId } = require('../utils/query');
+const { tripPointsQuery } = require('../validators/location.validator');
+
+/**
+ * @swagger
+ * /api/trips/{tripId}:
+ *   get:
+ *     summary: Get a trip with its underlying location points
+ *     description: |
+ *       Returns the trip summary (start/end place and time, duration in seconds,
+ *       distance in meters, max/avg speed in m/s, simplified polyline) and the raw
+ *       location points recorded during the trip in chronological order. Points are
+ *       returned in pages of at most `limit`; pass the returned nextCursor as `cursor`
+ *       to get the next page.
+ *     tags: [Trips]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Maximum number of points per page
+ *         schema:
+ *           type: integer
+ *           default: 1000
+ *           maximum: 10000
+ *       - in: query
+ *         name: cursor
+ *         description: Opaque cursor from a previous page's pagination.nextCursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trip retrieved successfully
+ *       400:
+ *         description: Invalid query parameters or cursor
+ *       404:
+ *         description: Trip not found
+ */
+router.get('/:tripId', authenticateAdmin, validate(tripPointsQuery, 'query'), async (req, res, next) => {
+    try {
+        assertObjectId(req.params.tripId, 'trip ID');
+        const { limit } = req.query;
+
+        let cursor;
+        if (req.query.cursor) {
+            cursor = Location.decodeCursor(req.query.cursor);
+            if (!cursor) {
+                throw new ApiError(400, 'Invalid cursor');
+            }
+        }
+
+        const trip = await Trip.findById(req.params.tripId).select('-tracking -__v');
+        if (!trip) {
+            throw new ApiError(404, 'Trip not found');
+        }
+
+        const { locations: points, nextCursor } = await Location.getLocationHistory(
+            trip.deviceId,
+            trip.startTime,
+            trip.endTime || new Date(),
+            { limit, cursor, order: 'asc' }
+        );
+
+        res.status(200).json({
+            status: 'success',
+            results: points.length,
+            pagination: {
+                limit,
+                nextCursor,
+                hasMore: nextCursor !== null
+            },
+            data: { trip, points }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
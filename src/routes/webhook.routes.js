@@ -0,0 +1,521 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhook-delivery.model');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+const { ApiError } = require('../middleware/error.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { parsePagination, parseTimeRange, parseBoolean, assertObjectId, assertDevicesExist } = require('../utils/query');
+const { createWebhook, updateWebhook } = require('../validators/webhook.validator');
+const { generateSecret, sendTestEvent, retryDelivery } = require('../services/webhook.service');
+
+async function findWebhook(webhookId) {
+    assertObjectId(webhookId, 'webhook ID');
+
+    const webhook = await Webhook.findById(webhookId);
+    if (!webhook) {
+        throw new ApiError(404, 'Webhook not found');
+    }
+    return webhook;
+}
+
+// Parse the filters shared by the delivery log and the dead-letter list
+function parseDeliveryFilters(query) {
+    const { event, deviceId, status } = query;
+    const { startTime, endTime } = parseTimeRange(query);
+
+    if (status && !WebhookDelivery.DELIVERY_STATUSES.includes(status)) {
+        throw new ApiError(400, `status must be one of: ${WebhookDelivery.DELIVERY_STATUSES.join(', ')}`);
+    }
+
+    return { event, deviceId, status, startTime, endTime };
+}
+
+async function sendDeliveries(res, filters, query) {
+    const { page, limit } = parsePagination(query);
+    const { deliveries, pagination } = await WebhookDelivery.getDeliveries(filters, page, limit);
+
+    res.status(200).json({
+        status: 'success',
+        results: deliveries.length,
+        pagination,
+        data: { deliveries }
+    });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         url:
+ *           type: string
+ *           example: https://dispatch.example.com/hooks/tracker
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [location_update, geofence_event, alert, alert_updated]
+ *         devices:
+ *           type: array
+ *           description: Devices whose events are delivered (all devices when devices and groups are empty)
+ *           items:
+ *             type: string
+ *         groups:
+ *           type: array
+ *           items:
+ *             type: string
+ *         secret:
+ *           type: string
+ *           description: Key used to sign deliveries (generated when omitted)
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Events are POSTed as JSON with an X-Webhook-Signature header of
+ *       "sha256=" followed by the hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>"
+ *       keyed with the webhook secret. The secret is only returned here.
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookInput'
+ *               - type: object
+ *                 required:
+ *                   - name
+ *                   - url
+ *                   - events
+ *     responses:
+ *       201:
+ *         description: Webhook registered successfully
+ *       400:
+ *         description: Invalid input or unknown devices
+ */
+router.post('/', authenticateAdmin, validate(createWebhook), async (req, res, next) => {
+    try {
+        await assertDevicesExist(req.body.devices || []);
+
+        const webhook = await Webhook.create({
+            ...req.body,
+            secret: req.body.secret || generateSecret()
+        });
+
+        res.status(201).json({
+            status: 'success',
+            data: { webhook }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: List of webhooks
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { event } = req.query;
+        const enabled = parseBoolean(req.query.enabled, 'enabled');
+        const { page, limit } = parsePagination(req.query);
+
+        const query = {};
+        if (event) query.events = event;
+        if (enabled !== undefined) query.enabled = enabled;
+
+        const [webhooks, total] = await Promise.all([
+            Webhook.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-__v'),
+            Webhook.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            status: 'success',
+            results: webhooks.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            data: { webhooks }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters:
+ *   get:
+ *     summary: Deliveries that failed every attempt, across all webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: webhookId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Dead-lettered deliveries, newest first
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/dead-letters', authenticateAdmin, async (req, res, next) => {
+    try {
+        const { webhookId } = req.query;
+        if (webhookId) assertObjectId(webhookId, 'webhook ID');
+
+        const filters = { ...parseDeliveryFilters(req.query), webhookId, status: 'dead' };
+        await sendDeliveries(res, filters, req.query);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}/retry:
+ *   post:
+ *     summary: Send a dead-lettered delivery again
+ *     description: The delivery is queued with a fresh set of retries.
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Delivery queued
+ *       400:
+ *         description: Delivery is not dead-lettered or its webhook was deleted
+ *       404:
+ *         description: Delivery not found
+ */
+router.post('/deliveries/:deliveryId/retry', authenticateAdmin, async (req, res, next) => {
+    try {
+        assertObjectId(req.params.deliveryId, 'delivery ID');
+
+        const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+        if (!delivery) {
+            throw new ApiError(404, 'Delivery not found');
+        }
+        if (delivery.status !== 'dead') {
+            throw new ApiError(400, 'Only dead-lettered deliveries can be retried');
+        }
+        if (!(await Webhook.exists({ _id: delivery.webhookId }))) {
+            throw new ApiError(400, 'Webhook no longer exists');
+        }
+
+        await retryDelivery(delivery);
+
+        res.status(202).json({
+            status: 'success',
+            data: { delivery }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook details
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.webhookId);
+
+        res.status(200).json({
+            status: 'success',
+            data: { webhook }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   patch:
+ *     summary: Update a webhook
+ *     description: |
+ *       Only the provided fields are changed. Providing a secret replaces the
+ *       signing key for all further attempts, including pending retries.
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       400:
+ *         description: Invalid input or unknown devices
+ *       404:
+ *         description: Webhook not found
+ */
+router.patch('/:webhookId', authenticateAdmin, validate(updateWebhook), async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.webhookId);
+        await assertDevicesExist(req.body.devices || []);
+
+        webhook.set(req.body);
+        await webhook.save();
+
+        res.status(200).json({
+            status: 'success',
+            data: { webhook }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:webhookId', authenticateAdmin, async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.webhookId);
+        await webhook.deleteOne();
+        await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook
+ *     description: |
+ *       Every event sent to the webhook with its status and attempts. Delivered
+ *       events are kept for WEBHOOK_DELIVERY_RETENTION_DAYS days.
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, dead]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId/deliveries', authenticateAdmin, async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.webhookId);
+
+        const filters = { ...parseDeliveryFilters(req.query), webhookId: webhook._id };
+        await sendDeliveries(res, filters, req.query);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}/test:
+ *   post:
+ *     summary: Send a test 'ping' event to a webhook
+ *     description: The ping is delivered and retried like any other event.
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Ping queued
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:webhookId/test', authenticateAdmin, async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.webhookId);
+        const delivery = await sendTestEvent(webhook);
+
+        res.status(202).json({
+            status: 'success',
+            data: { delivery }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -13,8 +13,21 @@ const http = require('http');
 const deviceRoutes = require('./routes/device.routes');
 const locationRoutes = require('./routes/location.routes');
 const authRoutes = require('./routes/auth.routes');
+const geofenceRoutes = require('./routes/geofence.routes');
+const geofenceEventRoutes = require('./routes/geofence-event.routes');
+const geofenceVisitRoutes = require('./routes/geofence-visit.routes');
+const tripRoutes = require('./routes/trip.routes');
+const fleetRoutes = require('./routes/fleet.routes');
+const alertRuleRoutes = require('./routes/alert-rule.routes');
+const alertRoutes = require('./routes/alert.routes');
+const webhookRoutes = require('./routes/webhook.routes');
 const { errorHandler } = require('./middleware/error.middleware');
-const { setupWebSocket } = require('./services/websocket.service');
+const { setupWebSocket, authenticateWebSocket } = require('./services/websocket.service');
+const { DEVICE_SOCKET_PATH, setupDeviceSocket, authenticateDeviceSocket } = require('./services/device-socket.service');
+const { startTrackerListeners } = require('./services/tracker-listener.service');
+const { startMqttBridge } = require('./services/mqtt-bridge.service');
+const { startHeartbeatMonitor } = require('./services/heartbeat.service');
+const { startWebhookWorker } = require('./services/webhook.service');
 
 const app = express();
 const server = http.createServer(app);
@@ -60,11 +73,9 @@ const corsOptions = {
 
 // WebSocket server setup
 const wss = new WebSocket.Server({ 
-    server,
-    // WebSocket CORS configuration
-    verifyClient: ({ origin }, callback) => {
-        if (!origin) return callback(true);
-
+    noServer: true,
+    // WebSocket CORS configuration and JWT authentication of the handshake
+    verifyClient: ({ origin, req }, callback) => {
         const allowedOrigins = [
             'http://localhost:3000',
             'http://localhost:5000',
@@ -76,21 +87,51 @@ const wss = new WebSocket.Server({
             allowedOrigins.push(...process.env.ALLOWED_ORIGINS.split(','));
         }
 
-        if (allowedOrigins.indexOf(origin) !== -1 || process.env.NODE_ENV === 'development') {
-            callback(true);
-        } else {
-            callback(false, 403, 'Not allowed by CORS');
+        if (origin && allowedOrigins.indexOf(origin) === -1 && process.env.NODE_ENV !== 'development') {
+            return callback(false, 403, 'Not allowed by CORS');
         }
+
+        authenticateWebSocket(req)
+            .then((user) => {
+                req.user = user;
+                callback(true);
+            })
+            .catch((error) => callback(false, error.statusCode || 401, error.message));
     }
 });
 setupWebSocket(wss);
 
+// Devices streaming fixes authenticate with their API key during the handshake
+const deviceWss = new WebSocket.Server({
+    noServer: true,
+    verifyClient: ({ req }, callback) => {
+        authenticateDeviceSocket(req)
+            .then((channel) => {
+                req.deviceChannel = channel;
+                callback(true);
+            })
+            .catch((error) => callback(false, error.statusCode || 401, error.message));
+    }
+});
+setupDeviceSocket(deviceWss);
+
+// Route upgrades to the device endpoint or the real-time updates endpoint
+server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const target = pathname === DEVICE_SOCKET_PATH ? deviceWss : wss;
+
+    target.handleUpgrade(req, socket, head, (ws) => target.emit('connection', ws, req));
+});
+
 // Apply CORS middleware before other middleware
 app.use(cors(corsOptions));
 
 // Other middleware
 app.use(helmet());
-app.use(express.json());
+// Track imports read their own body, up to IMPORT_BODY_LIMIT, whatever its type
+const TRACK_IMPORT_PATH = /^\/api\/locations\/[^/]+\/import\/?$/i;
+const parseJson = express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' });
+app.use((req, res, next) => (TRACK_IMPORT_PATH.test(req.path) ? next() : parseJson(req, res, next)));
 app.use(morgan('dev'));
 
 // Pre-flight requests
@@ -142,13 +183,27 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 app.use('/api/auth', authRoutes);
 app.use('/api/devices', deviceRoutes);
 app.use('/api/locations', locationRoutes);
+app.use('/api/geofences', geofenceRoutes);
+app.use('/api/geofence-events', geofenceEventRoutes);
+app.use('/api/geofence-visits', geofenceVisitRoutes);
+app.use('/api/trips', tripRoutes);
+app.use('/api/fleet', fleetRoutes);
+app.use('/api/alert-rules', alertRuleRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Error handling
 app.use(errorHandler);
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
-    .then(() => console.log('Connected to MongoDB'))
+    .then(() => {
+        console.log('Connected to MongoDB');
+        startHeartbeatMonitor();
+        startWebhookWorker();
+        startTrackerListeners();
+        startMqttBridge();
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 // Start server
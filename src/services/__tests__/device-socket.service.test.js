@@ -0,0 +1,112 @@
+jest.mock('../device-channel.service', () => ({ openDeviceChannel: jest.fn() }));
+
+const http = require('http');
+const WebSocket = require('ws');
+const { ApiError } = require('../../middleware/error.middleware');
+const { openDeviceChannel } = require('../device-channel.service');
+const { DEVICE_SOCKET_PATH, authenticateDeviceSocket, setupDeviceSocket } = require('../device-socket.service');
+
+describe('device WebSocket', () => {
+    let server;
+    let wss;
+    let url;
+    let channel;
+    let ws;
+
+    beforeAll(async () => {
+        // Same handshake as the server's device endpoint
+        wss = new WebSocket.Server({
+            noServer: true,
+            verifyClient: ({ req }, callback) => {
+                authenticateDeviceSocket(req)
+                    .then((deviceChannel) => {
+                        req.deviceChannel = deviceChannel;
+                        callback(true);
+                    })
+                    .catch((error) => callback(false, error.statusCode || 401, error.message));
+            }
+        });
+        setupDeviceSocket(wss);
+
+        server = http.createServer();
+        server.on('upgrade', (req, socket, head) => {
+            wss.handleUpgrade(req, socket, head, (client) => wss.emit('connection', client, req));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `ws://127.0.0.1:${server.address().port}${DEVICE_SOCKET_PATH}?deviceId=device1&apiKey=key`;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+        wss.close();
+        await new Promise(resolve => server.close(resolve));
+        console.log.mockRestore();
+    });
+
+    beforeEach(async () => {
+        channel = {
+            deviceId: 'device1',
+            ingest: jest.fn().mockResolvedValue({ location: { _id: 'loc1' }, outOfOrder: false }),
+            ingestBatch: jest.fn().mockResolvedValue({ accepted: 1, rejected: 0, results: [] })
+        };
+        openDeviceChannel.mockResolvedValue(channel);
+
+        ws = new WebSocket(url);
+        await new Promise((resolve, reject) => {
+            ws.once('open', resolve);
+            ws.once('error', reject);
+        });
+    });
+
+    afterEach(async () => {
+        ws.close();
+        await new Promise(resolve => ws.once('close', resolve));
+    });
+
+    // Send a message and wait for its reply
+    const request = (message) => new Promise((resolve) => {
+        ws.once('message', reply => resolve(JSON.parse(reply.toString())));
+        ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    });
+
+    test('acknowledges a fix', async () => {
+        const fix = { coordinates: [13.4, 52.5] };
+        const reply = await request({ type: 'location', id: 1, location: fix });
+
+        expect(reply).toEqual({ type: 'ack', id: 1, locationId: 'loc1', outOfOrder: false });
+        expect(channel.ingest).toHaveBeenCalledWith(fix);
+    });
+
+    test('acknowledges a batch', async () => {
+        const reply = await request({ type: 'batch', id: 2, locations: [{ coordinates: [1, 2] }] });
+        expect(reply).toMatchObject({ type: 'ack', id: 2, accepted: 1, rejected: 0 });
+    });
+
+    test('reports an ingestion error with its status', async () => {
+        channel.ingest.mockRejectedValue(new ApiError(400, 'Invalid coordinates'));
+        const reply = await request({ type: 'location', id: 3, location: { coordinates: [200, 1] } });
+        expect(reply).toEqual({ type: 'error', id: 3, status: 400, message: 'Invalid coordinates' });
+    });
+
+    test.each([
+        ['a location message without a location', { type: 'location', id: 4 }, 'location must be an object'],
+        ['a location that is not an object', { type: 'location', id: 4, location: [13.4, 52.5] }, 'location must be an object'],
+        ['a batch message without locations', { type: 'batch', id: 4 }, 'locations must be an array'],
+        ['a batch whose locations are not an array', { type: 'batch', id: 4, locations: {} }, 'locations must be an array'],
+        ['an unknown message type', { type: 'status', id: 4 }, 'type must be location or batch']
+    ])('rejects %s with a 400', async (description, message, error) => {
+        const reply = await request(message);
+
+        expect(reply).toEqual({ type: 'error', id: 4, status: 400, message: error });
+        expect(channel.ingest).not.toHaveBeenCalled();
+        expect(channel.ingestBatch).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['not JSON', 'not json'],
+        ['not an object', 'null']
+    ])('rejects a message that is %s', async (description, message) => {
+        const reply = await request(message);
+        expect(reply).toEqual({ type: 'error', status: 400, message: 'Invalid message format' });
+    });
+});
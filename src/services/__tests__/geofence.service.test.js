@@ -0,0 +1,308 @@
+jest.mock('../websocket.service', () => ({ broadcastGeofenceEvent: jest.fn() }));
+jest.mock('../webhook.service', () => ({ dispatchWebhookEvent: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const Geofence = require('../../models/geofence.model');
+const GeofenceState = require('../../models/geofence-state.model');
+const GeofenceVisit = require('../../models/geofence-visit.model');
+const GeofenceEvent = require('../../models/geofence-event.model');
+const {
+    resolveTransition,
+    evaluateGeofences,
+    clearGeofenceState,
+    clearLeftGroupGeofenceState,
+    applyGeofenceUpdate
+} = require('../geofence.service');
+
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+const at = (seconds) => new Date(START + seconds * 1000);
+
+// Feed a synthetic track of signed boundary distances (negative inside), one
+// fix every 10 seconds, and collect the transitions
+function runTrack(distances, options) {
+    let state = null;
+    return distances.map((distance, i) => {
+        const result = resolveTransition(state, distance, at(i * 10), options);
+        state = result.state;
+        return { transition: result.transition, state };
+    });
+}
+
+const transitions = (results) => results.map(result => result.transition);
+
+describe('resolveTransition', () => {
+    const options = { hysteresis: 10, confirmFixes: 1 };
+
+    test('starts outside without a transition', () => {
+        const [first] = runTrack([25], options);
+        expect(first.transition).toBeNull();
+        expect(first.state.inside).toBe(false);
+        expect(first.state.since).toEqual(at(0));
+    });
+
+    test('enters when the first fix is already inside', () => {
+        const [first] = runTrack([-3], options);
+        expect(first.transition).toBe('enter');
+        expect(first.state.inside).toBe(true);
+    });
+
+    test('enters as soon as the boundary is crossed', () => {
+        const results = runTrack([30, 12, 0.5, -0.5], options);
+        expect(transitions(results)).toEqual([null, null, null, 'enter']);
+        expect(results[3].state.since).toEqual(at(30));
+    });
+
+    test('does not exit while within the hysteresis band', () => {
+        const results = runTrack([-5, 2, 9, 10, -1], options);
+        expect(transitions(results)).toEqual(['enter', null, null, null, null]);
+        expect(results[4].state.inside).toBe(true);
+    });
+
+    test('exits once beyond the hysteresis band', () => {
+        const results = runTrack([5, -1, -5, 5, 11, 12, -1], options);
+        expect(transitions(results)).toEqual([null, 'enter', null, null, 'exit', null, 'enter']);
+        expect(results[4].state.since).toEqual(at(40));
+    });
+
+    test('requires confirmFixes consecutive fixes before a transition', () => {
+        const results = runTrack([20, -1, 20, -1, -2, -3, 15, 15, 15], { hysteresis: 10, confirmFixes: 3 });
+        expect(transitions(results)).toEqual([null, null, null, null, null, 'enter', null, null, 'exit']);
+
+        // The transition is dated at the first fix of the confirming run
+        expect(results[5].state.since).toEqual(at(30));
+        expect(results[8].state.since).toEqual(at(60));
+    });
+
+    test('keeps a pending transition until confirmed or contradicted', () => {
+        const results = runTrack([20, -1, -1, 20], { hysteresis: 10, confirmFixes: 3 });
+        expect(results[2].state).toMatchObject({ inside: false, pendingInside: true, pendingCount: 2 });
+        expect(results[3].state).toMatchObject({ inside: false, pendingInside: null, pendingCount: 0 });
+    });
+});
+
+describe('evaluateGeofences', () => {
+    const geofence = new Geofence({
+        name: 'Depot',
+        shape: 'circle',
+        radius: 100,
+        center: { type: 'Point', coordinates: [13.4, 52.5] }
+    });
+    const device = { deviceId: 'device1', geofences: [], groups: [] };
+    const fix = (coordinates, seconds) => ({
+        _id: `fix-${seconds}`,
+        location: { type: 'Point', coordinates },
+        timestamp: at(seconds)
+    });
+
+    let stored;
+
+    beforeEach(() => {
+        stored = null;
+        jest.spyOn(Geofence, 'findForDevice').mockResolvedValue([geofence]);
+        jest.spyOn(GeofenceState, 'find').mockImplementation(async () => (stored ? [{
+            ...stored,
+            geofenceId: geofence._id,
+            toObject: () => stored
+        }] : []));
+        jest.spyOn(GeofenceState, 'updateOne').mockImplementation(async (query, update) => {
+            stored = update.$set;
+        });
+        jest.spyOn(GeofenceVisit, 'create').mockResolvedValue({});
+        jest.spyOn(GeofenceVisit, 'findOpenVisit').mockResolvedValue(null);
+        jest.spyOn(GeofenceEvent, 'create').mockResolvedValue({ _id: 'event' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('records an enter event for a fix inside', async () => {
+        await evaluateGeofences(device, fix([13.4, 52.5], 0));
+
+        expect(stored).toMatchObject({ inside: true, lastEvaluatedAt: at(0) });
+        expect(GeofenceVisit.create).toHaveBeenCalledTimes(1);
+        expect(GeofenceEvent.create).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'enter' }));
+    });
+
+    test('ignores a fix older than the last evaluated one', async () => {
+        await evaluateGeofences(device, fix([13.4, 52.5], 60));
+        GeofenceEvent.create.mockClear();
+        GeofenceState.updateOne.mockClear();
+
+        // Far outside, but recorded before the fix already evaluated
+        await evaluateGeofences(device, fix([13.5, 52.6], 30));
+
+        expect(GeofenceState.updateOne).not.toHaveBeenCalled();
+        expect(GeofenceEvent.create).not.toHaveBeenCalled();
+        expect(stored).toMatchObject({ inside: true, lastEvaluatedAt: at(60) });
+    });
+
+    test('closes the open visit at the last active fix once the schedule window closes', async () => {
+        // Open for the first five minutes of the day
+        const scheduled = new Geofence({
+            ...geofence.toObject(),
+            schedule: { startTime: '00:00', endTime: '00:05', timezone: 'UTC' }
+        });
+        Geofence.findForDevice.mockResolvedValue([scheduled]);
+        await evaluateGeofences(device, fix([13.4, 52.5], 0));
+        await evaluateGeofences(device, fix([13.4, 52.5], 120));
+
+        const visit = { enteredAt: at(0), exitedAt: null, save: jest.fn() };
+        jest.spyOn(GeofenceState, 'deleteMany').mockResolvedValue({});
+        jest.spyOn(GeofenceVisit, 'find').mockResolvedValue([visit]);
+        GeofenceEvent.create.mockClear();
+
+        await evaluateGeofences(device, fix([13.4, 52.5], 600));
+
+        expect(GeofenceState.deleteMany).toHaveBeenCalledWith({ geofenceId: geofence._id, deviceId: { $in: ['device1'] } });
+        expect(visit).toMatchObject({ exitedAt: at(120), duration: 120 });
+        expect(visit.save).toHaveBeenCalled();
+        expect(GeofenceEvent.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('dwell and overstay', () => {
+    // Dwell after 5 minutes inside, overstay after 10
+    const geofence = new Geofence({
+        name: 'Depot',
+        shape: 'circle',
+        radius: 100,
+        center: { type: 'Point', coordinates: [13.4, 52.5] },
+        dwellTime: 5,
+        maxDwellTime: 10
+    });
+    const device = { deviceId: 'device1', geofences: [], groups: [] };
+    const inside = (seconds) => ({
+        _id: `fix-${seconds}`,
+        location: { type: 'Point', coordinates: [13.4, 52.5] },
+        timestamp: at(seconds)
+    });
+
+    let visit;
+    let stored;
+
+    beforeEach(() => {
+        stored = null;
+        visit = null;
+        jest.spyOn(Geofence, 'findForDevice').mockResolvedValue([geofence]);
+        jest.spyOn(GeofenceState, 'find').mockImplementation(async () => (stored ? [{
+            ...stored,
+            geofenceId: geofence._id,
+            toObject: () => stored
+        }] : []));
+        jest.spyOn(GeofenceState, 'updateOne').mockImplementation(async (query, update) => {
+            stored = update.$set;
+        });
+        jest.spyOn(GeofenceVisit, 'create').mockImplementation(async (fields) => {
+            // As loaded from the database, without unsaved changes
+            visit = GeofenceVisit.hydrate({ _id: new mongoose.Types.ObjectId(), ...fields });
+            jest.spyOn(visit, 'save').mockImplementation(async () => {
+                visit.modifiedPaths().forEach(path => visit.unmarkModified(path));
+                return visit;
+            });
+            return visit;
+        });
+        jest.spyOn(GeofenceVisit, 'findOpenVisit').mockImplementation(async () => visit);
+        jest.spyOn(GeofenceEvent, 'create').mockResolvedValue({ _id: 'event' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const eventTypes = () => GeofenceEvent.create.mock.calls.map(([event]) => event.eventType);
+
+    test('fires dwell once the device has been inside for dwellTime minutes', async () => {
+        await evaluateGeofences(device, inside(0));
+        await evaluateGeofences(device, inside(299));
+        expect(eventTypes()).toEqual(['enter']);
+
+        await evaluateGeofences(device, inside(300));
+        await evaluateGeofences(device, inside(360));
+
+        expect(eventTypes()).toEqual(['enter', 'dwell']);
+        expect(GeofenceEvent.create).toHaveBeenLastCalledWith(expect.objectContaining({ eventType: 'dwell', duration: 300 }));
+        expect(visit.dwellNotified).toBe(true);
+        expect(visit.save).toHaveBeenCalledTimes(1);
+    });
+
+    test('fires overstay once past maxDwellTime minutes', async () => {
+        await evaluateGeofences(device, inside(0));
+        await evaluateGeofences(device, inside(300));
+        await evaluateGeofences(device, inside(599));
+        expect(eventTypes()).toEqual(['enter', 'dwell']);
+
+        await evaluateGeofences(device, inside(600));
+        await evaluateGeofences(device, inside(900));
+
+        expect(eventTypes()).toEqual(['enter', 'dwell', 'overstay']);
+        expect(GeofenceEvent.create).toHaveBeenLastCalledWith(expect.objectContaining({ eventType: 'overstay', duration: 600 }));
+        expect(visit.overstayNotified).toBe(true);
+    });
+
+    test('closes the open visit when its geofence is deleted', async () => {
+        await evaluateGeofences(device, inside(0));
+
+        jest.spyOn(GeofenceState, 'deleteMany').mockImplementation(async () => {
+            stored = null;
+        });
+        jest.spyOn(GeofenceVisit, 'find').mockImplementation(async () => [visit]);
+        await clearGeofenceState(geofence._id, undefined, at(120));
+
+        expect(GeofenceState.deleteMany).toHaveBeenCalledWith({ geofenceId: geofence._id });
+        expect(GeofenceVisit.find).toHaveBeenCalledWith({ geofenceId: geofence._id, exitedAt: null });
+        expect(visit.exitedAt).toEqual(at(120));
+        expect(visit.duration).toBe(120);
+        expect(visit.save).toHaveBeenCalled();
+    });
+});
+
+describe('applyGeofenceUpdate', () => {
+    const geofence = () => new Geofence({
+        name: 'Depot',
+        shape: 'circle',
+        radius: 100,
+        center: { type: 'Point', coordinates: [13.4, 52.5] }
+    });
+
+    test('reports when an enabled geofence is disabled', () => {
+        expect(applyGeofenceUpdate(geofence(), { enabled: false })).toBe(true);
+    });
+
+    test('does not report other updates', () => {
+        const disabled = geofence();
+        disabled.enabled = false;
+
+        expect(applyGeofenceUpdate(geofence(), { name: 'Yard' })).toBe(false);
+        expect(applyGeofenceUpdate(geofence(), { enabled: true })).toBe(false);
+        expect(applyGeofenceUpdate(disabled, { enabled: false })).toBe(false);
+    });
+});
+
+describe('clearLeftGroupGeofenceState', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('releases only geofences the device no longer has through any assignment', async () => {
+        const device = { deviceId: 'device1', groups: ['north'] };
+        const onlyLeft = { _id: 'fence-left', devices: [], groups: ['south'] };
+        const direct = { _id: 'fence-direct', devices: ['device1'], groups: ['south'] };
+        const otherGroup = { _id: 'fence-north', devices: [], groups: ['south', 'north'] };
+        jest.spyOn(Geofence, 'find').mockReturnValue({ select: async () => [onlyLeft, direct, otherGroup] });
+        jest.spyOn(GeofenceState, 'deleteMany').mockResolvedValue({});
+        jest.spyOn(GeofenceVisit, 'find').mockResolvedValue([]);
+
+        await clearLeftGroupGeofenceState(device, ['south']);
+
+        expect(Geofence.find).toHaveBeenCalledWith({ groups: { $in: ['south'] } });
+        expect(GeofenceState.deleteMany).toHaveBeenCalledTimes(1);
+        expect(GeofenceState.deleteMany).toHaveBeenCalledWith({ geofenceId: 'fence-left', deviceId: { $in: ['device1'] } });
+    });
+
+    test('does nothing when no group was left', async () => {
+        jest.spyOn(Geofence, 'find');
+        await clearLeftGroupGeofenceState({ deviceId: 'device1', groups: [] }, []);
+        expect(Geofence.find).not.toHaveBeenCalled();
+    });
+});
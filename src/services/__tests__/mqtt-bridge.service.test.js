@@ -0,0 +1,170 @@
+process.env.MQTT_ERROR_TOPIC = 'devices/{deviceId}/errors';
+
+jest.mock('../device-channel.service', () => ({ openDeviceChannel: jest.fn() }));
+
+const net = require('net');
+const aedes = require('aedes');
+const mqtt = require('mqtt');
+const { ApiError } = require('../../middleware/error.middleware');
+const { openDeviceChannel } = require('../device-channel.service');
+const { compileTopic, startMqttBridge } = require('../mqtt-bridge.service');
+
+// Poll until a condition holds, failing after `timeout` milliseconds
+async function waitFor(condition, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('compileTopic', () => {
+    test('turns {deviceId} into a single level wildcard', () => {
+        const topic = compileTopic('fleet/+/{deviceId}/gps');
+        expect(topic.filter).toBe('fleet/+/+/gps');
+        expect(topic.match('fleet/berlin/truck7/gps')).toBe('truck7');
+    });
+
+    test('does not match other topics', () => {
+        const topic = compileTopic('devices/{deviceId}/location');
+        expect(topic.match('devices/truck7/status')).toBeNull();
+        expect(topic.match('devices/truck7/location/extra')).toBeNull();
+        expect(topic.match('devices//location')).toBeNull();
+    });
+
+    test.each([
+        'devices/location',
+        'devices/{deviceId}/{deviceId}',
+        'devices/{deviceId}/#',
+        'devices/id-{deviceId}/location'
+    ])('rejects the template %s', (template) => {
+        expect(() => compileTopic(template)).toThrow(/must contain \{deviceId\}/);
+    });
+});
+
+describe('MQTT bridge', () => {
+    let broker;
+    let server;
+    let url;
+    let bridge;
+    let publisher;
+    let ingested;
+    let errors;
+
+    // Channel of a device whose API key is "key-<deviceId>"; fixes outside the
+    // coordinate range are rejected like invalid HTTP requests
+    const openChannel = async (deviceId, apiKey) => {
+        if (apiKey !== `key-${deviceId}`) throw new ApiError(401, 'Invalid API key');
+        return {
+            ingest: async (fix) => {
+                if (Math.abs(fix.coordinates[0]) > 180) throw new ApiError(400, 'Invalid coordinates');
+                ingested.push({ deviceId, fix });
+                return {};
+            },
+            ingestBatch: async (locations) => {
+                ingested.push({ deviceId, locations });
+                return {};
+            }
+        };
+    };
+
+    const publish = (deviceId, payload) => new Promise((resolve, reject) => {
+        const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        publisher.publish(`devices/${deviceId}/location`, message, { qos: 1 }, error => (error ? reject(error) : resolve()));
+    });
+
+    beforeAll(async () => {
+        broker = aedes();
+        server = net.createServer(broker.handle);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `mqtt://127.0.0.1:${server.address().port}`;
+
+        let subscribed = false;
+        broker.on('subscribe', (subscriptions, client) => {
+            if (client && client.id.startsWith('location-tracker-')) subscribed = true;
+        });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        bridge = startMqttBridge(url, 'devices/{deviceId}/location');
+        await waitFor(() => subscribed);
+
+        publisher = mqtt.connect(url);
+        await new Promise(resolve => publisher.on('connect', resolve));
+        await publisher.subscribeAsync('devices/+/errors', { qos: 1 });
+        publisher.on('message', (topic, message) => {
+            errors.push({ errorTopic: topic, ...JSON.parse(message.toString()) });
+        });
+    });
+
+    afterAll(async () => {
+        await bridge.endAsync();
+        await publisher.endAsync();
+        await new Promise(resolve => broker.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+        console.log.mockRestore();
+    });
+
+    beforeEach(() => {
+        ingested = [];
+        errors = [];
+        openDeviceChannel.mockReset();
+        openDeviceChannel.mockImplementation(openChannel);
+    });
+
+    test('ingests a fix without the API key', async () => {
+        await publish('dev1', { apiKey: 'key-dev1', coordinates: [13.4, 52.5], speed: 3 });
+        await waitFor(() => ingested.length === 1);
+
+        expect(ingested[0]).toEqual({ deviceId: 'dev1', fix: { coordinates: [13.4, 52.5], speed: 3 } });
+        expect(openDeviceChannel).toHaveBeenCalledWith('dev1', 'key-dev1');
+    });
+
+    test('ingests a batch', async () => {
+        const locations = [{ coordinates: [1, 2] }, { coordinates: [3, 4] }];
+        await publish('dev2', { apiKey: 'key-dev2', locations });
+        await waitFor(() => ingested.length === 1);
+
+        expect(ingested[0]).toEqual({ deviceId: 'dev2', locations });
+    });
+
+    test('reuses a verified key and keeps each device\'s fixes in order', async () => {
+        for (let i = 0; i < 5; i++) {
+            publisher.publish('devices/dev3/location', JSON.stringify({ apiKey: 'key-dev3', coordinates: [i, i] }), { qos: 1 });
+        }
+        await waitFor(() => ingested.length === 5);
+
+        expect(ingested.map(({ fix }) => fix.coordinates[0])).toEqual([0, 1, 2, 3, 4]);
+        expect(openDeviceChannel).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports a wrong key without evicting the verified one', async () => {
+        await publish('dev4', { apiKey: 'key-dev4', coordinates: [1, 1] });
+        await waitFor(() => ingested.length === 1);
+
+        await publish('dev4', { apiKey: 'wrong', coordinates: [2, 2] });
+        await waitFor(() => errors.length === 1);
+        expect(errors[0]).toEqual({
+            errorTopic: 'devices/dev4/errors',
+            topic: 'devices/dev4/location',
+            status: 401,
+            message: 'Invalid API key'
+        });
+
+        await publish('dev4', { apiKey: 'key-dev4', coordinates: [3, 3] });
+        await waitFor(() => ingested.length === 2);
+        expect(openDeviceChannel).toHaveBeenCalledTimes(2);
+        expect(ingested.map(({ fix }) => fix.coordinates[0])).toEqual([1, 3]);
+    });
+
+    test.each([
+        ['a payload that is not JSON', 'not json', 400, 'Payload must be JSON'],
+        ['a payload that is not an object', [1, 2], 400, 'Payload must be a JSON object'],
+        ['a payload without an API key', { coordinates: [1, 1] }, 401, 'No API key provided'],
+        ['a fix the channel rejects', { apiKey: 'key-dev5', coordinates: [200, 1] }, 400, 'Invalid coordinates']
+    ])('rejects %s on the error topic', async (description, payload, status, message) => {
+        await publish('dev5', payload);
+        await waitFor(() => errors.length === 1);
+
+        expect(errors[0]).toMatchObject({ status, message });
+        expect(ingested).toHaveLength(0);
+    });
+});
@@ -0,0 +1,76 @@
+const Trip = require('../../models/trip.model');
+const Location = require('../../models/location.model');
+const { closeStaleTrips } = require('../trip.service');
+
+describe('closeStaleTrips', () => {
+    const start = new Date('2026-01-01T00:00:00Z');
+    const end = new Date('2026-01-01T07:00:00Z');
+    let trip;
+    let query;
+
+    // A straight track heading north at 1 Hz with one detour
+    function track(count, detourAt) {
+        return Array.from({ length: count }, (value, i) => ({
+            location: { coordinates: [i === detourAt ? 13.01 : 13, 52 + i * 0.0001] }
+        }));
+    }
+
+    function mockLocations(points) {
+        query = {
+            sort: jest.fn().mockReturnThis(),
+            select: jest.fn().mockReturnThis(),
+            lean: jest.fn().mockReturnThis(),
+            cursor: jest.fn(() => (async function* () {
+                yield* points;
+            })())
+        };
+        jest.spyOn(Location, 'find').mockReturnValue(query);
+    }
+
+    beforeEach(() => {
+        trip = {
+            deviceId: 'device1',
+            startTime: start,
+            distance: 0,
+            tracking: { distanceAtLastMove: 5000, lastMovingAt: end, lastMovingCoordinates: [13, 54.5] },
+            save: jest.fn()
+        };
+        jest.spyOn(Trip, 'find').mockResolvedValue([trip]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('streams the trip\'s fixes into a simplified polyline', async () => {
+        const points = track(25000, 12345);
+        mockLocations(points);
+
+        await closeStaleTrips();
+
+        expect(Location.find).toHaveBeenCalledWith({ deviceId: 'device1', timestamp: { $gte: start, $lte: end } });
+        expect(query.sort).toHaveBeenCalledWith({ timestamp: 1 });
+        expect(query.lean).toHaveBeenCalled();
+
+        const { coordinates } = trip.polyline;
+        expect(coordinates[0]).toEqual(points[0].location.coordinates);
+        expect(coordinates[coordinates.length - 1]).toEqual(points[24999].location.coordinates);
+        expect(coordinates).toContainEqual(points[12345].location.coordinates);
+        expect(coordinates.length).toBeLessThan(10);
+
+        // Chunks are joined in track order
+        const latitudes = coordinates.map(point => point[1]);
+        expect(latitudes).toEqual([...latitudes].sort((a, b) => a - b));
+        expect(trip.status).toBe('completed');
+        expect(trip.save).toHaveBeenCalled();
+    });
+
+    test('stores no polyline for a trip with a single fix', async () => {
+        mockLocations(track(1));
+
+        await closeStaleTrips();
+
+        expect(trip.polyline).toBeUndefined();
+        expect(trip.status).toBe('completed');
+    });
+});
@@ -0,0 +1,176 @@
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_DELAY = '30';
+
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+const Webhook = require('../../models/webhook.model');
+const WebhookDelivery = require('../../models/webhook-delivery.model');
+const { signPayload, retryDelay, retryDueDeliveries } = require('../webhook.service');
+
+const SECRET = 'test-secret';
+
+// Local receiver recording every request and answering with `status`
+let server;
+let baseUrl;
+let status;
+let received;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = status;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+let webhook;
+let delivery;
+
+beforeEach(() => {
+    status = 200;
+    received = [];
+
+    webhook = new Webhook({
+        name: 'Receiver',
+        url: `${baseUrl}/hooks`,
+        events: ['location_update'],
+        secret: SECRET
+    });
+
+    const now = new Date();
+    const _id = new mongoose.Types.ObjectId();
+    delivery = new WebhookDelivery({
+        _id,
+        webhookId: webhook._id,
+        event: 'location_update',
+        deviceId: 'device1',
+        payload: { id: _id.toString(), event: 'location_update', deviceId: 'device1', data: { coordinates: [13.4, 52.5] } },
+        nextAttemptAt: now,
+        createdAt: now
+    });
+
+    jest.spyOn(WebhookDelivery, 'find').mockReturnValue({
+        sort: () => ({ limit: () => ({ select: async () => [{ _id: delivery._id }] }) })
+    });
+    jest.spyOn(WebhookDelivery, 'findOneAndUpdate').mockImplementation(async () => (
+        delivery.status === 'pending' ? delivery : null
+    ));
+    jest.spyOn(Webhook, 'findById').mockReturnValue({ select: async () => webhook });
+    jest.spyOn(delivery, 'save').mockResolvedValue(delivery);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('signPayload', () => {
+    test('is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+        const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+        expect(signPayload(SECRET, 1700000000, '{"a":1}')).toBe(expected);
+        expect(expected).toMatch(/^[0-9a-f]{64}$/);
+    });
+});
+
+describe('retryDelay', () => {
+    test('doubles the delay after every failed attempt', () => {
+        expect([1, 2, 3, 4].map(retryDelay)).toEqual([30000, 60000, 120000, 240000]);
+    });
+});
+
+describe('webhook deliveries', () => {
+    test('posts a signed payload and marks a 2xx response delivered', async () => {
+        await retryDueDeliveries();
+
+        expect(received).toHaveLength(1);
+        const [{ headers, body }] = received;
+        expect(JSON.parse(body)).toEqual(delivery.payload);
+        expect(headers['content-type']).toBe('application/json');
+        expect(headers['x-webhook-id']).toBe(webhook._id.toString());
+        expect(headers['x-webhook-event']).toBe('location_update');
+        expect(headers['x-webhook-delivery']).toBe(delivery._id.toString());
+        expect(headers['x-webhook-signature']).toBe(
+            `sha256=${signPayload(SECRET, headers['x-webhook-timestamp'], body)}`
+        );
+
+        expect(delivery.status).toBe('delivered');
+        expect(delivery.attempts).toBe(1);
+        expect(delivery.deliveredAt).toBeInstanceOf(Date);
+        expect(delivery.history[0].responseStatus).toBe(200);
+        expect(delivery.nextAttemptAt).toBeUndefined();
+    });
+
+    test('schedules a retry with backoff after a non-2xx response', async () => {
+        status = 500;
+        const before = Date.now();
+        await retryDueDeliveries();
+
+        expect(received).toHaveLength(1);
+        expect(delivery.status).toBe('pending');
+        expect(delivery.attempts).toBe(1);
+        expect(delivery.history[0]).toMatchObject({ responseStatus: 500, error: 'Webhook responded with HTTP 500' });
+        expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + retryDelay(1));
+        expect(delivery.nextAttemptAt.getTime()).toBeLessThanOrEqual(Date.now() + retryDelay(1));
+    });
+
+    test('treats a redirect as a failure', async () => {
+        status = 302;
+        await retryDueDeliveries();
+
+        expect(delivery.status).toBe('pending');
+        expect(delivery.history[0].error).toBe('Webhook responded with HTTP 302');
+    });
+
+    test('moves a delivery to dead letters after MAX_ATTEMPTS failures', async () => {
+        status = 503;
+        delivery.attempts = 2;
+        await retryDueDeliveries();
+
+        expect(delivery.attempts).toBe(3);
+        expect(delivery.status).toBe('dead');
+        expect(delivery.nextAttemptAt).toBeUndefined();
+    });
+
+    test('records network errors as failed attempts', async () => {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+        webhook.url = `http://127.0.0.1:${port}/hooks`;
+
+        await retryDueDeliveries();
+
+        expect(delivery.status).toBe('pending');
+        expect(delivery.attempts).toBe(1);
+        expect(delivery.history[0].error).toMatch(/ECONNREFUSED/);
+    });
+
+    test('dead-letters a delivery whose webhook was deleted', async () => {
+        Webhook.findById.mockReturnValue({ select: async () => null });
+        await retryDueDeliveries();
+
+        expect(received).toHaveLength(0);
+        expect(delivery.status).toBe('dead');
+        expect(delivery.history[0].error).toBe('Webhook no longer exists');
+    });
+
+    test('does not send a delivery that is no longer pending', async () => {
+        delivery.status = 'delivered';
+        await retryDueDeliveries();
+
+        expect(received).toHaveLength(0);
+        expect(delivery.save).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,182 @@
+const Alert = require('../models/alert.model');
+const Device = require('../models/device.model');
+const AlertRule = require('../models/alert-rule.model');
+const AlertRuleState = require('../models/alert-rule-state.model');
+const Geofence = require('../models/geofence.model');
+const { broadcastAlert } = require('./websocket.service');
+const { dispatchWebhookEvent } = require('./webhook.service');
+const { isWithinSchedule } = require('./geofence.service');
+const { MIN_MOVING_SPEED } = require('./trip.service');
+const { isPointInGeofence } = require('../utils/geo');
+
+const COMPARATORS = {
+    lt: (value, threshold) => value < threshold,
+    lte: (value, threshold) => value <= threshold,
+    gt: (value, threshold) => value > threshold,
+    gte: (value, threshold) => value >= threshold,
+    eq: (value, threshold) => value === threshold,
+    ne: (value, threshold) => value !== threshold
+};
+
+// Metadata is stored as strings; compare as numbers when the threshold is one
+function readMetadata(location, key, threshold) {
+    const metadata = location.metadata instanceof Map ?
+        location.metadata :
+        new Map(Object.entries(location.metadata || {}));
+    if (!metadata.has(key)) return undefined;
+
+    const raw = metadata.get(key);
+    if (typeof threshold !== 'number') return String(raw);
+
+    const value = Number(raw);
+    return Number.isFinite(value) ? value : undefined;
+}
+
+// Whether the rule's condition holds for a fix, with the measured value and a
+// human readable message. `state` is the rule's previous state for the device.
+function checkCondition(rule, state, location, { geofence } = {}) {
+    const speed = location.speed || 0;
+
+    switch (rule.type) {
+    case 'speeding': {
+        if (speed <= rule.speedLimit) {
+            return { active: false, overSince: null };
+        }
+        const overSince = (state && state.overSince) || location.timestamp;
+        const sustained = (location.timestamp - overSince) / 1000;
+        return {
+            active: sustained >= (rule.duration || 0),
+            overSince,
+            value: speed,
+            message: `Speed ${speed} m/s above the limit of ${rule.speedLimit} m/s for ${Math.round(sustained)} s`
+        };
+    }
+    case 'metadata': {
+        const value = readMetadata(location, rule.metadataKey, rule.threshold);
+        const active = value !== undefined && COMPARATORS[rule.operator](value, rule.threshold);
+        return {
+            active,
+            value,
+            message: `${rule.metadataKey} is ${value} (${rule.operator} ${rule.threshold})`
+        };
+    }
+    case 'curfew': {
+        const minSpeed = rule.minSpeed !== undefined && rule.minSpeed !== null ? rule.minSpeed : MIN_MOVING_SPEED;
+        return {
+            active: speed >= minSpeed && isWithinSchedule(rule.schedule, location.timestamp),
+            value: speed,
+            message: `Moving at ${speed} m/s during curfew`
+        };
+    }
+    case 'zone': {
+        const active = Boolean(geofence) && isPointInGeofence(location.location.coordinates, geofence);
+        return {
+            active,
+            message: geofence ? `Entered ${geofence.name}` : undefined
+        };
+    }
+    default:
+        return { active: false };
+    }
+}
+
+// Decide whether a rule fires: only when its condition becomes true, and not
+// within `cooldown` minutes of the previous alert for the same device
+function shouldTrigger(rule, state, active, timestamp) {
+    if (!active || (state && state.active)) return false;
+    if (!state || !state.lastTriggeredAt) return true;
+    return timestamp - state.lastTriggeredAt >= (rule.cooldown || 0) * 60 * 1000;
+}
+
+async function raiseAlert(device, rule, location, condition) {
+    const alert = await Alert.create({
+        ruleId: rule._id,
+        ruleName: rule.name,
+        type: rule.type,
+        severity: rule.severity,
+        deviceId: device.deviceId,
+        message: condition.message,
+        value: condition.value,
+        location: {
+            type: 'Point',
+            coordinates: location.location.coordinates
+        },
+        locationId: location._id,
+        timestamp: location.timestamp
+    });
+
+    await publishAlert('alert', alert, device);
+    return alert;
+}
+
+// Send a new ('alert') or acknowledged/resolved ('alert_updated') alert to
+// WebSocket subscribers and webhooks
+async function publishAlert(type, alert, device) {
+    broadcastAlert(type, alert);
+
+    if (!device) {
+        device = await Device.findOne({ deviceId: alert.deviceId }).select('deviceId groups') ||
+            { deviceId: alert.deviceId };
+    }
+    await dispatchWebhookEvent(type, device, alert.toJSON());
+}
+
+// Evaluate every enabled rule that applies to the device against a new fix.
+// Fixes must be evaluated in the order they were recorded; older fixes are ignored.
+async function evaluateAlertRules(device, location) {
+    const rules = await AlertRule.findForDevice(device);
+    if (rules.length === 0) return [];
+
+    const states = new Map(
+        (await AlertRuleState.find({ deviceId: device.deviceId, ruleId: { $in: rules.map(rule => rule._id) } }))
+            .map(state => [state.ruleId.toString(), state])
+    );
+
+    const zoneIds = rules.filter(rule => rule.type === 'zone').map(rule => rule.geofenceId);
+    const geofences = new Map(
+        (zoneIds.length > 0 ? await Geofence.find({ _id: { $in: zoneIds } }) : [])
+            .map(geofence => [geofence._id.toString(), geofence])
+    );
+
+    const alerts = [];
+    for (const rule of rules) {
+        const state = states.get(rule._id.toString());
+        if (state && location.timestamp < state.lastEvaluatedAt) continue;
+
+        const condition = checkCondition(rule, state, location, {
+            geofence: rule.geofenceId && geofences.get(rule.geofenceId.toString())
+        });
+        const triggered = shouldTrigger(rule, state, condition.active, location.timestamp);
+
+        const update = {
+            active: condition.active,
+            overSince: condition.overSince || null,
+            lastEvaluatedAt: location.timestamp
+        };
+        if (triggered) update.lastTriggeredAt = location.timestamp;
+
+        await AlertRuleState.updateOne(
+            { ruleId: rule._id, deviceId: device.deviceId },
+            { $set: update },
+            { upsert: true }
+        );
+
+        if (triggered) {
+            alerts.push(await raiseAlert(device, rule, location, condition));
+        }
+    }
+    return alerts;
+}
+
+// Forget per-device evaluation state, e.g. after a rule's condition changed
+async function clearRuleState(ruleId) {
+    await AlertRuleState.deleteMany({ ruleId });
+}
+
+module.exports = {
+    checkCondition,
+    shouldTrigger,
+    evaluateAlertRules,
+    publishAlert,
+    clearRuleState
+};
@@ -0,0 +1,71 @@
+const Device = require('../models/device.model');
+const { ApiError } = require('../middleware/error.middleware');
+const { verifyDeviceCredentials } = require('../middleware/auth.middleware');
+const { ingestLocation, ingestBatch } = require('./ingestion.service');
+const { locationBatch } = require('../validators/location.validator');
+
+// Fixes a channel may have waiting for ingestion before further ones are refused
+const MAX_PENDING = parseInt(process.env.DEVICE_CHANNEL_MAX_PENDING, 10) || 1000;
+
+function validationError(error) {
+    return new ApiError(400, error.details.map(detail => detail.message).join(', '));
+}
+
+// Ingestion for a device that authenticated once on a persistent connection
+// (WebSocket, TCP or UDP). Fixes go through the same ingestion pipeline as
+// the HTTP routes, one at a time in arrival order. The device is reloaded
+// for every fix so that changes made elsewhere, such as deactivation or the
+// heartbeat marking it offline, are not overwritten.
+class DeviceChannel {
+    constructor(device) {
+        this.deviceId = device.deviceId;
+        this.id = device._id;
+        this.queue = Promise.resolve();
+        this.pending = 0;
+    }
+
+    // Run a task after the ones already queued
+    enqueue(count, task) {
+        if (this.pending + count > MAX_PENDING) {
+            return Promise.reject(new ApiError(429, 'Too many pending fixes'));
+        }
+
+        this.pending += count;
+        const run = this.queue.then(task).finally(() => {
+            this.pending -= count;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async loadDevice() {
+        const device = await Device.findById(this.id);
+        if (!device || !device.isActive) {
+            throw new ApiError(403, 'Device is inactive');
+        }
+        return device;
+    }
+
+    // Ingest one fix, as POST /api/locations
+    ingest(fix) {
+        return this.enqueue(1, async () => ingestLocation(await this.loadDevice(), fix));
+    }
+
+    // Ingest buffered fixes, as POST /api/locations/batch
+    ingestBatch(fixes) {
+        const { error } = locationBatch.validate({ locations: fixes });
+        if (error) return Promise.reject(validationError(error));
+
+        return this.enqueue(fixes.length, async () => ingestBatch(await this.loadDevice(), fixes));
+    }
+}
+
+// Authenticate a device as authenticateDevice does and open a channel for it
+async function openDeviceChannel(deviceId, apiKey) {
+    const device = await verifyDeviceCredentials(deviceId, apiKey);
+    return new DeviceChannel(device);
+}
+
+module.exports = {
+    openDeviceChannel
+};
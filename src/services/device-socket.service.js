@@ -0,0 +1,107 @@
+const { ApiError } = require('../middleware/error.middleware');
+const { openDeviceChannel } = require('./device-channel.service');
+
+// Path of the WebSocket endpoint devices stream fixes to
+const DEVICE_SOCKET_PATH = '/ws/devices';
+// Milliseconds between liveness pings, as for dashboard connections
+const PING_INTERVAL = parseInt(process.env.WS_PING_INTERVAL, 10) || 30000;
+
+// Credentials from the X-Device-Id/X-API-Key headers used by the HTTP routes,
+// or from the deviceId/apiKey query parameters for clients that cannot set headers
+function readCredentials(req) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    return {
+        deviceId: req.headers['x-device-id'] || query.get('deviceId'),
+        apiKey: req.headers['x-api-key'] || query.get('apiKey')
+    };
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function toError(error) {
+    return {
+        status: error instanceof ApiError ? error.statusCode : 500,
+        message: error instanceof ApiError ? error.message : 'Failed to save location'
+    };
+}
+
+// Authenticate a device's handshake; resolves with its ingestion channel
+async function authenticateDeviceSocket(req) {
+    const { deviceId, apiKey } = readCredentials(req);
+    return openDeviceChannel(deviceId, apiKey);
+}
+
+// Handle one message from a device. Every message is answered with an 'ack'
+// or an 'error' carrying the message's id, if it had one.
+async function handleMessage(ws, channel, message) {
+    let data;
+    try {
+        data = JSON.parse(message);
+    } catch (error) {
+        data = null;
+    }
+    if (!isObject(data)) {
+        ws.send(JSON.stringify({ type: 'error', status: 400, message: 'Invalid message format' }));
+        return;
+    }
+
+    const { id } = data;
+    try {
+        if (data.type === 'location') {
+            if (!isObject(data.location)) {
+                throw new ApiError(400, 'location must be an object');
+            }
+            const { location, outOfOrder } = await channel.ingest(data.location);
+            ws.send(JSON.stringify({ type: 'ack', id, locationId: location._id, outOfOrder }));
+        } else if (data.type === 'batch') {
+            if (!Array.isArray(data.locations)) {
+                throw new ApiError(400, 'locations must be an array');
+            }
+            const { accepted, rejected, results } = await channel.ingestBatch(data.locations);
+            ws.send(JSON.stringify({ type: 'ack', id, accepted, rejected, results }));
+        } else {
+            throw new ApiError(400, 'type must be location or batch');
+        }
+    } catch (error) {
+        if (!(error instanceof ApiError)) {
+            console.error(`Device ${channel.deviceId} WebSocket ingestion failed:`, error);
+        }
+        if (ws.readyState === 1) {
+            ws.send(JSON.stringify({ type: 'error', id, ...toError(error) }));
+        }
+    }
+}
+
+// Accept fixes from devices authenticated during the handshake, which sets
+// req.deviceChannel
+function setupDeviceSocket(wss) {
+    wss.on('connection', (ws, req) => {
+        const channel = req.deviceChannel;
+        console.log(`Device ${channel.deviceId} connected over WebSocket`);
+
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+
+        ws.on('message', (message) => handleMessage(ws, channel, message));
+    });
+
+    const liveness = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, PING_INTERVAL);
+    wss.on('close', () => clearInterval(liveness));
+}
+
+module.exports = {
+    DEVICE_SOCKET_PATH,
+    authenticateDeviceSocket,
+    setupDeviceSocket
+};
@@ -0,0 +1,111 @@
+const Device = require('../models/device.model');
+const Geofence = require('../models/geofence.model');
+const GeofenceState = require('../models/geofence-state.model');
+const { bboxToPolygon } = require('../utils/geo');
+
+const DEVICE_FIELDS = 'deviceId name groups status lastSeenAt lastLocation geofences._id geofences.name';
+
+// Devices that never reported still have the default [0, 0] last location
+const hasReported = (device) => {
+    const coordinates = device.lastLocation && device.lastLocation.coordinates;
+    return Boolean(coordinates) && (coordinates[0] !== 0 || coordinates[1] !== 0);
+};
+
+// Geofences each device is currently inside, as { id, name }, keyed by deviceId
+async function findCurrentGeofences(devices) {
+    const states = await GeofenceState.find({
+        deviceId: { $in: devices.map(device => device.deviceId) },
+        inside: true
+    }).select('deviceId geofenceId');
+
+    const names = new Map();
+    for (const device of devices) {
+        for (const geofence of device.geofences || []) {
+            names.set(geofence._id.toString(), geofence.name);
+        }
+    }
+
+    const sharedIds = states
+        .map(state => state.geofenceId)
+        .filter(geofenceId => !names.has(geofenceId.toString()));
+    if (sharedIds.length > 0) {
+        const shared = await Geofence.find({ _id: { $in: sharedIds } }).select('name');
+        shared.forEach(geofence => names.set(geofence._id.toString(), geofence.name));
+    }
+
+    const current = new Map();
+    for (const state of states) {
+        const id = state.geofenceId.toString();
+        // Skip state left behind by a geofence that no longer exists
+        if (!names.has(id)) continue;
+        if (!current.has(state.deviceId)) current.set(state.deviceId, []);
+        current.get(state.deviceId).push({ id, name: names.get(id) });
+    }
+    return current;
+}
+
+// Live view of one device: last position, age of the fix in seconds,
+// heartbeat status and the geofences it is inside
+function toFleetEntry(device, geofences = [], now = new Date()) {
+    const reported = hasReported(device);
+    const timestamp = reported ? device.lastLocation.timestamp : null;
+    const fixAge = reported ? Math.max(0, Math.round((now - timestamp) / 1000)) : null;
+
+    return {
+        deviceId: device.deviceId,
+        name: device.name,
+        groups: device.groups || [],
+        location: reported ? {
+            coordinates: device.lastLocation.coordinates,
+            speed: device.lastLocation.speed,
+            timestamp
+        } : null,
+        fixAge,
+        status: device.status,
+        lastSeenAt: device.lastSeenAt || null,
+        geofences
+    };
+}
+
+// Whether a fleet entry passes group/status/bbox filters
+function matchesFleetFilter(entry, { group, status, bbox } = {}) {
+    if (group && !entry.groups.includes(group)) return false;
+    if (status && entry.status !== status) return false;
+    if (bbox) {
+        if (!entry.location) return false;
+        const [lng, lat] = entry.location.coordinates;
+        const [minLng, minLat, maxLng, maxLat] = bbox;
+        if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+    }
+    return true;
+}
+
+async function getFleetEntry(device, now = new Date()) {
+    const current = await findCurrentGeofences([device]);
+    return toFleetEntry(device, current.get(device.deviceId), now);
+}
+
+// Live view of every device matching the filters
+async function getFleetSnapshot(filters = {}, now = new Date()) {
+    const query = {};
+    if (filters.group) query.groups = filters.group;
+    if (filters.status) query.status = filters.status;
+    if (filters.bbox) {
+        query['lastLocation.coordinates'] = { $geoWithin: { $geometry: bboxToPolygon(filters.bbox) } };
+    }
+
+    const devices = await Device.find(query)
+        .select(DEVICE_FIELDS)
+        .sort({ deviceId: 1 });
+    const current = await findCurrentGeofences(devices);
+
+    return devices
+        .map(device => toFleetEntry(device, current.get(device.deviceId), now))
+        .filter(entry => matchesFleetFilter(entry, filters));
+}
+
+module.exports = {
+    getFleetEntry,
+    getFleetSnapshot,
+    matchesFleetFilter
+};
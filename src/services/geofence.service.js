@@ -0,0 +1,328 @@
+const Device = require('../models/device.model');
+const Geofence = require('../models/geofence.model');
+const GeofenceEvent = require('../models/geofence-event.model');
+const GeofenceVisit = require('../models/geofence-visit.model');
+const GeofenceState = require('../models/geofence-state.model');
+const { broadcastGeofenceEvent } = require('./websocket.service');
+const { dispatchWebhookEvent } = require('./webhook.service');
+const { distanceToGeofenceBoundary } = require('../utils/geo');
+const { ApiError } = require('../middleware/error.middleware');
+const { hasShapeUpdate, mergeShapeUpdate } = require('../validators/geofence.validator');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Meters beyond the boundary a device must move before an exit is recorded
+const DEFAULT_HYSTERESIS = process.env.GEOFENCE_HYSTERESIS !== undefined ?
+    Number(process.env.GEOFENCE_HYSTERESIS) : 10;
+// Consecutive fixes that must agree before a transition is recorded
+const CONFIRM_FIXES = parseInt(process.env.GEOFENCE_CONFIRM_FIXES, 10) || 1;
+
+// Resolve every geofence that applies to a device: the ones embedded in the
+// device document plus shared geofences assigned to it or to one of its groups.
+async function getDeviceGeofences(device) {
+    const shared = await Geofence.findForDevice(device);
+    return [...(device.geofences || []), ...shared];
+}
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Day of week (0-6) and minutes since midnight of a date in the given timezone
+function getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = (type) => parts.find(p => p.type === type).value;
+    return {
+        day: WEEKDAYS.indexOf(part('weekday')),
+        minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+}
+
+// Check whether a schedule window is open at the given date. Windows whose end is
+// before their start run overnight and belong to the day on which they start.
+function isWithinSchedule(schedule, date) {
+    const { day, minutes } = getLocalTime(date, schedule.timezone);
+    const days = schedule.days && schedule.days.length > 0 ? schedule.days : [0, 1, 2, 3, 4, 5, 6];
+    const start = toMinutes(schedule.startTime);
+    const end = toMinutes(schedule.endTime);
+
+    if (start <= end) {
+        return days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    if (minutes >= start) {
+        return days.includes(day);
+    }
+    return minutes < end && days.includes((day + 6) % 7);
+}
+
+// A geofence is evaluated only when enabled and inside its schedule, if any.
+// Disabling a geofence clears its state and closes open visits (see
+// applyGeofenceUpdate); a closing schedule window does the same for a device at
+// its next fix, so visits never span a closed window and a device still inside
+// when the window reopens enters again.
+function isGeofenceActive(geofence, date = new Date()) {
+    if (geofence.enabled === false) return false;
+    if (!geofence.schedule || !geofence.schedule.startTime) return true;
+    return isWithinSchedule(geofence.schedule, date);
+}
+
+// Persist a geofence event and push it to subscribed WebSocket clients and webhooks
+async function recordGeofenceEvent(device, geofence, eventType, location, duration) {
+    const event = await GeofenceEvent.create({
+        deviceId: device.deviceId,
+        geofenceId: geofence._id,
+        geofenceName: geofence.name,
+        eventType,
+        location: location.location,
+        locationId: location._id,
+        duration,
+        timestamp: location.timestamp
+    });
+
+    broadcastGeofenceEvent(device.deviceId, eventType, geofence, duration !== undefined ? { duration } : undefined);
+    await dispatchWebhookEvent('geofence_event', device, {
+        eventId: event._id,
+        eventType,
+        geofence: { id: geofence._id, name: geofence.name },
+        coordinates: location.location.coordinates,
+        duration,
+        timestamp: location.timestamp
+    });
+}
+
+// Fire dwell/overstay events once per visit when their thresholds are reached
+async function checkDwell(device, geofence, location) {
+    if (!geofence.dwellTime && !geofence.maxDwellTime) return;
+
+    const visit = await GeofenceVisit.findOpenVisit(device.deviceId, geofence._id);
+    if (!visit) return;
+
+    const duration = Math.round((location.timestamp - visit.enteredAt) / 1000);
+
+    if (geofence.dwellTime && !visit.dwellNotified && duration >= geofence.dwellTime * 60) {
+        visit.dwellNotified = true;
+        await recordGeofenceEvent(device, geofence, 'dwell', location, duration);
+    }
+
+    if (geofence.maxDwellTime && !visit.overstayNotified && duration >= geofence.maxDwellTime * 60) {
+        visit.overstayNotified = true;
+        await recordGeofenceEvent(device, geofence, 'overstay', location, duration);
+    }
+
+    if (visit.isModified()) {
+        await visit.save();
+    }
+}
+
+// Decide the next inside/outside state of a device for one geofence.
+// `distance` is the signed distance to the boundary (negative inside). A device
+// outside enters as soon as it crosses the boundary, but a device inside only
+// exits once it is more than `hysteresis` meters beyond it, and either change
+// must be seen on `confirmFixes` consecutive fixes. The first observation
+// starts a state, entering if the device is already inside.
+function resolveTransition(state, distance, timestamp, { hysteresis = DEFAULT_HYSTERESIS, confirmFixes = CONFIRM_FIXES } = {}) {
+    const settled = { pendingInside: null, pendingCount: 0, pendingSince: null };
+
+    if (!state) {
+        const inside = distance <= 0;
+        return {
+            state: { inside, since: timestamp, ...settled },
+            transition: inside ? 'enter' : null
+        };
+    }
+
+    const observedInside = state.inside ? distance <= hysteresis : distance <= 0;
+    if (observedInside === state.inside) {
+        return { state: { inside: state.inside, since: state.since, ...settled }, transition: null };
+    }
+
+    const pendingCount = state.pendingInside === observedInside ? state.pendingCount + 1 : 1;
+    const pendingSince = pendingCount === 1 ? timestamp : state.pendingSince;
+
+    if (pendingCount < confirmFixes) {
+        return {
+            state: { inside: state.inside, since: state.since, pendingInside: observedInside, pendingCount, pendingSince },
+            transition: null
+        };
+    }
+
+    // The transition happened at the first fix of the confirming run
+    return {
+        state: { inside: observedInside, since: pendingSince, ...settled },
+        transition: observedInside ? 'enter' : 'exit'
+    };
+}
+
+// Check a newly saved location against every active geofence of the device and
+// record enter/exit transitions, visits and dwell/overstay events. Transitions
+// are detected against the persisted per-geofence state of the device.
+async function evaluateGeofences(device, location) {
+    const geofences = await getDeviceGeofences(device);
+    const coordinates = location.location.coordinates;
+
+    const states = new Map(
+        (await GeofenceState.find({ deviceId: device.deviceId }))
+            .map(state => [state.geofenceId.toString(), state])
+    );
+
+    for (const geofence of geofences) {
+        const current = states.get(geofence._id.toString());
+
+        if (!isGeofenceActive(geofence, location.timestamp)) {
+            // The visit ends at the last fix seen while the geofence was active
+            if (current && location.timestamp >= current.lastEvaluatedAt) {
+                await clearGeofenceState(geofence._id, [device.deviceId], current.lastEvaluatedAt);
+            }
+            continue;
+        }
+
+        // Never let an older fix change the state
+        if (current && location.timestamp < current.lastEvaluatedAt) continue;
+
+        const distance = distanceToGeofenceBoundary(coordinates, geofence);
+        const { state, transition } = resolveTransition(
+            current && current.toObject(),
+            distance,
+            location.timestamp,
+            {
+                hysteresis: geofence.hysteresis !== undefined && geofence.hysteresis !== null ?
+                    geofence.hysteresis : DEFAULT_HYSTERESIS
+            }
+        );
+
+        await GeofenceState.updateOne(
+            { deviceId: device.deviceId, geofenceId: geofence._id },
+            { $set: { ...state, lastEvaluatedAt: location.timestamp } },
+            { upsert: true }
+        );
+
+        if (transition === 'enter') {
+            await GeofenceVisit.create({
+                deviceId: device.deviceId,
+                geofenceId: geofence._id,
+                geofenceName: geofence.name,
+                enteredAt: state.since
+            });
+            await recordGeofenceEvent(device, geofence, 'enter', location);
+        } else if (transition === 'exit') {
+            const visit = await GeofenceVisit.findOpenVisit(device.deviceId, geofence._id);
+            let duration;
+            if (visit) {
+                duration = Math.round((state.since - visit.enteredAt) / 1000);
+                visit.exitedAt = state.since;
+                visit.duration = duration;
+                await visit.save();
+            }
+            await recordGeofenceEvent(device, geofence, 'exit', location, duration);
+        } else if (state.inside) {
+            await checkDwell(device, geofence, location);
+        }
+    }
+}
+
+// Forget the per-device state of a geofence that no longer applies, for every
+// device or only the given ones, and close their open visits at the removal
+// time so they stop counting towards the time spent there
+async function clearGeofenceState(geofenceId, deviceIds, removedAt = new Date()) {
+    const query = { geofenceId };
+    if (deviceIds) query.deviceId = { $in: deviceIds };
+
+    await GeofenceState.deleteMany(query);
+
+    const visits = await GeofenceVisit.find({ ...query, exitedAt: null });
+    for (const visit of visits) {
+        visit.exitedAt = removedAt;
+        visit.duration = Math.max(0, Math.round((removedAt - visit.enteredAt) / 1000));
+        await visit.save();
+    }
+}
+
+// Clear the state of devices a shared geofence no longer applies to after it
+// was unassigned from the given devices and groups. Devices still covered by a
+// direct assignment or another of their groups keep it.
+async function clearUnassignedGeofenceState(geofence, devices = [], groups = []) {
+    if (devices.length === 0 && groups.length === 0) return;
+
+    const candidates = await Device.find({
+        $or: [{ deviceId: { $in: devices } }, { groups: { $in: groups } }]
+    }).select('deviceId groups');
+
+    const released = candidates
+        .filter(device => !geofence.devices.includes(device.deviceId) &&
+            !(device.groups || []).some(group => geofence.groups.includes(group)))
+        .map(device => device.deviceId);
+
+    if (released.length > 0) {
+        await clearGeofenceState(geofence._id, released);
+    }
+}
+
+// Clear the state of shared geofences a device received only through groups it
+// left. Geofences still assigned to it directly or to one of its remaining
+// groups keep their state.
+async function clearLeftGroupGeofenceState(device, leftGroups) {
+    if (leftGroups.length === 0) return;
+
+    const geofences = await Geofence.find({ groups: { $in: leftGroups } }).select('devices groups');
+    const released = geofences.filter(geofence => !geofence.devices.includes(device.deviceId) &&
+        !geofence.groups.some(group => device.groups.includes(group)));
+
+    for (const geofence of released) {
+        await clearGeofenceState(geofence._id, [device.deviceId]);
+    }
+}
+
+// Apply a validated partial update to an embedded or shared geofence document.
+// Returns true when the update disables an enabled geofence; its state must then
+// be cleared with clearGeofenceState once the change is saved.
+function applyGeofenceUpdate(geofence, update) {
+    const { name, description, enabled, schedule } = update;
+    const disabled = enabled === false && geofence.enabled !== false;
+
+    if (name !== undefined) geofence.name = name;
+    if (description !== undefined) geofence.description = description;
+    if (enabled !== undefined) geofence.enabled = enabled;
+    if (schedule !== undefined) geofence.schedule = schedule === null ? undefined : schedule;
+
+    for (const field of ['hysteresis', 'dwellTime', 'maxDwellTime']) {
+        if (update[field] !== undefined) geofence[field] = update[field] === null ? undefined : update[field];
+    }
+
+    if (geofence.dwellTime && geofence.maxDwellTime && geofence.maxDwellTime <= geofence.dwellTime) {
+        throw new ApiError(400, 'maxDwellTime must be greater than dwellTime');
+    }
+
+    if (hasShapeUpdate(update)) {
+        const { error, value } = mergeShapeUpdate(geofence.toObject(), update);
+        if (error) {
+            throw new ApiError(400, error.details.map(detail => detail.message).join(', '));
+        }
+
+        // Clear fields belonging to the previous shape before applying the new one
+        geofence.set({ radius: undefined, center: undefined, geometry: undefined });
+        geofence.set(value);
+    }
+
+    return disabled;
+}
+
+module.exports = {
+    getDeviceGeofences,
+    resolveTransition,
+    evaluateGeofences,
+    clearGeofenceState,
+    clearUnassignedGeofenceState,
+    clearLeftGroupGeofenceState,
+    applyGeofenceUpdate,
+    isGeofenceActive,
+    isWithinSchedule
+};
@@ -0,0 +1,91 @@
+const Device = require('../models/device.model');
+const DeviceStatusEvent = require('../models/device-status-event.model');
+const { broadcastDeviceStatus, publishFleetUpdate } = require('./websocket.service');
+const { closeStaleTrips } = require('./trip.service');
+
+// Minutes without a fix after which a device is marked offline, unless the
+// device has its own offlineTimeout
+const DEFAULT_OFFLINE_TIMEOUT = parseFloat(process.env.DEVICE_OFFLINE_TIMEOUT) || 5;
+// Milliseconds between heartbeat checks
+const CHECK_INTERVAL = parseInt(process.env.HEARTBEAT_CHECK_INTERVAL, 10) || 30000;
+
+// Store a status transition and notify WebSocket subscribers
+async function recordStatusChange(device, status, timestamp = new Date()) {
+    await DeviceStatusEvent.create({
+        deviceId: device.deviceId,
+        status,
+        lastSeenAt: device.lastSeenAt,
+        timestamp
+    });
+
+    broadcastDeviceStatus(device.deviceId, status, { lastSeenAt: device.lastSeenAt, timestamp });
+    await publishFleetUpdate(device);
+}
+
+// Note that a fix arrived from the device. Returns true when this brings an
+// offline device back online; the caller saves the device and then records
+// the transition with recordStatusChange.
+function markSeen(device, seenAt = new Date()) {
+    if (!device.lastSeenAt || seenAt > device.lastSeenAt) {
+        device.lastSeenAt = seenAt;
+    }
+
+    if (device.status === 'online') return false;
+    device.status = 'online';
+    return true;
+}
+
+// Mark online devices offline once they have been silent for longer than their
+// timeout, and complete trips of devices that stopped moving or reporting
+async function checkHeartbeats(now = new Date()) {
+    const silent = await Device.find({
+        status: 'online',
+        $expr: {
+            $lt: [
+                '$lastSeenAt',
+                { $subtract: [now, { $multiply: [{ $ifNull: ['$offlineTimeout', DEFAULT_OFFLINE_TIMEOUT] }, 60 * 1000] }] }
+            ]
+        }
+    }).select('-apiKey');
+
+    for (const device of silent) {
+        // Only if no fix arrived since the device was loaded
+        const updated = await Device.findOneAndUpdate(
+            { _id: device._id, status: 'online', lastSeenAt: device.lastSeenAt },
+            { status: 'offline' },
+            { new: true }
+        ).select('-apiKey');
+
+        if (updated) {
+            await recordStatusChange(updated, 'offline', now);
+        }
+    }
+
+    await closeStaleTrips(undefined, now);
+}
+
+// Run checkHeartbeats every CHECK_INTERVAL milliseconds. A check that is still
+// running when the next one is due is not overlapped.
+function startHeartbeatMonitor(interval = CHECK_INTERVAL) {
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkHeartbeats();
+        } catch (error) {
+            console.error('Heartbeat check failed:', error);
+        } finally {
+            running = false;
+        }
+    }, interval);
+}
+
+module.exports = {
+    DEFAULT_OFFLINE_TIMEOUT,
+    markSeen,
+    recordStatusChange,
+    checkHeartbeats,
+    startHeartbeatMonitor
+};
@@ -0,0 +1,298 @@
+const Location = require('../models/location.model');
+const { broadcastLocation, publishFleetUpdate } = require('./websocket.service');
+const { markSeen, recordStatusChange } = require('./heartbeat.service');
+const { evaluateGeofences } = require('./geofence.service');
+const { evaluateAlertRules } = require('./alert.service');
+const { processTripFix } = require('./trip.service');
+const { processStopFix } = require('./stop.service');
+const { dispatchWebhookEvent } = require('./webhook.service');
+const { ApiError } = require('../middleware/error.middleware');
+const { Pipeline } = require('../utils/pipeline');
+const { locationFix, importedFix } = require('../validators/location.validator');
+
+// Fixes inserted per bulk write
+const INSERT_CHUNK_SIZE = 1000;
+// Per-item errors included in an import report
+const MAX_REPORTED_ERRORS = 100;
+
+const buildLocation = (device, fix, receivedAt) => new Location({
+    deviceId: device.deviceId,
+    location: {
+        type: 'Point',
+        coordinates: fix.coordinates
+    },
+    altitude: fix.altitude,
+    speed: fix.speed,
+    accuracy: fix.accuracy,
+    timestamp: fix.timestamp || receivedAt,
+    receivedAt,
+    metadata: new Map(Object.entries(fix.metadata || {}))
+});
+
+const toBroadcast = (location) => ({
+    coordinates: location.location.coordinates,
+    altitude: location.altitude,
+    speed: location.speed,
+    accuracy: location.accuracy,
+    timestamp: location.timestamp,
+    receivedAt: location.receivedAt
+});
+
+// Whether a fix recorded at the given time is at least as recent as the device's last location
+const isNewerThanLastLocation = (device, timestamp) => {
+    const last = device.lastLocation && device.lastLocation.timestamp;
+    return !last || timestamp >= last;
+};
+
+// Timestamps of the device's stored fixes among the given ones
+async function findExistingTimestamps(deviceId, timestamps) {
+    const existing = new Set();
+    for (let i = 0; i < timestamps.length; i += INSERT_CHUNK_SIZE) {
+        const found = await Location.find({
+            deviceId,
+            timestamp: { $in: timestamps.slice(i, i + INSERT_CHUNK_SIZE) }
+        }).distinct('timestamp');
+        found.forEach(timestamp => existing.add(timestamp.getTime()));
+    }
+    return existing;
+}
+
+// Fixes move through the phases below. Failures while validating, enriching
+// or persisting abort the run; a failing evaluation or notification is logged
+// and the remaining stages still run, so it never fails a fix already stored.
+const PHASES = [
+    { name: 'validate', critical: true },
+    { name: 'enrich', critical: true },
+    { name: 'persist', critical: true },
+    { name: 'evaluate', critical: false },
+    { name: 'publish', critical: false }
+];
+
+// Every fix is an item that stays 'pending' until a stage rejects it, skips it
+// as a 'duplicate' or stores it ('accepted'). `stored` lists the accepted items
+// in the order they were recorded and `current` their locations that are at
+// least as recent as the device's last location.
+const createContext = (device, fixes) => ({
+    device,
+    receivedAt: new Date(),
+    items: fixes.map((fix, index) => ({ index, fix, status: 'pending' })),
+    stored: [],
+    current: [],
+    cameOnline: false
+});
+
+const newestLocation = context => context.current[context.current.length - 1];
+
+const isPending = item => item.status === 'pending';
+
+const reject = (item, error) => {
+    item.status = 'rejected';
+    item.error = error;
+};
+
+// Validate every fix against a Joi schema, keeping the sanitized value
+const validateFixes = schema => async (context) => {
+    for (const item of context.items.filter(isPending)) {
+        const { error, value } = schema.validate(item.fix, { abortEarly: false, stripUnknown: true });
+        if (error) {
+            reject(item, error.details.map(detail => detail.message).join(', '));
+        } else {
+            item.fix = value;
+        }
+    }
+};
+
+// Skip fixes whose timestamp appeared earlier in the same run or is already stored
+async function skipDuplicates(context) {
+    const seen = new Set();
+    const candidates = [];
+    for (const item of context.items.filter(isPending)) {
+        const time = item.fix.timestamp.getTime();
+        if (seen.has(time)) {
+            item.status = 'duplicate';
+            continue;
+        }
+        seen.add(time);
+        candidates.push(item);
+    }
+
+    const existing = await findExistingTimestamps(
+        context.device.deviceId,
+        candidates.map(item => item.fix.timestamp)
+    );
+    candidates
+        .filter(item => existing.has(item.fix.timestamp.getTime()))
+        .forEach(item => {
+            item.status = 'duplicate';
+        });
+}
+
+async function buildLocations(context) {
+    for (const item of context.items.filter(isPending)) {
+        item.location = buildLocation(context.device, item.fix, context.receivedAt);
+    }
+}
+
+// Bulk insert the pending fixes in the order they were recorded. Unordered
+// inserts keep going after a failure, so only the failed fixes are rejected.
+async function insertLocations(context) {
+    const pending = context.items
+        .filter(isPending)
+        .sort((a, b) => a.location.timestamp - b.location.timestamp);
+
+    for (let i = 0; i < pending.length; i += INSERT_CHUNK_SIZE) {
+        const chunk = pending.slice(i, i + INSERT_CHUNK_SIZE);
+        try {
+            await Location.insertMany(chunk.map(item => item.location), { ordered: false });
+        } catch (error) {
+            if (!error.writeErrors) throw error;
+
+            for (const writeError of error.writeErrors) {
+                reject(chunk[writeError.index], writeError.errmsg);
+            }
+        }
+    }
+
+    context.stored = pending.filter(isPending);
+    context.stored.forEach(item => {
+        item.status = 'accepted';
+    });
+}
+
+// Any stored fix counts as a heartbeat, but only fixes at least as recent as
+// the device's last location move it; older ones are kept in the history only
+async function updateDevice(context) {
+    const { device, stored } = context;
+    if (stored.length === 0) return;
+
+    context.current = stored
+        .filter(item => isNewerThanLastLocation(device, item.location.timestamp))
+        .map(item => item.location);
+    stored.forEach(item => {
+        item.outOfOrder = !context.current.includes(item.location);
+    });
+
+    context.cameOnline = markSeen(device, context.receivedAt);
+
+    const newest = newestLocation(context);
+    if (newest) {
+        device.lastLocation = {
+            type: 'Point',
+            coordinates: newest.location.coordinates,
+            timestamp: newest.timestamp,
+            speed: newest.speed
+        };
+    }
+    await device.save();
+}
+
+// Run an evaluator against every current fix, oldest first
+const forEachCurrent = evaluate => async (context) => {
+    for (const location of context.current) {
+        await evaluate(context.device, location);
+    }
+};
+
+async function publishStatus(context) {
+    if (context.cameOnline) {
+        await recordStatusChange(context.device, 'online', context.receivedAt);
+    }
+}
+
+// Only the newest current fix is broadcast and sent to webhooks
+async function broadcastNewest(context) {
+    const newest = newestLocation(context);
+    if (newest) {
+        broadcastLocation(context.device.deviceId, toBroadcast(newest));
+    }
+}
+
+async function dispatchNewest(context) {
+    const newest = newestLocation(context);
+    if (newest) {
+        await dispatchWebhookEvent('location_update', context.device, toBroadcast(newest));
+    }
+}
+
+async function publishFleet(context) {
+    if (context.current.length > 0) {
+        await publishFleetUpdate(context.device);
+    }
+}
+
+// Live fixes from any transport. Further stages can be added with
+// ingestionPipeline.use(phase, name, handler), e.g. to enrich fixes before
+// they are stored.
+const ingestionPipeline = new Pipeline('Ingestion', PHASES)
+    .use('validate', 'schema', validateFixes(locationFix))
+    .use('enrich', 'location', buildLocations)
+    .use('persist', 'locations', insertLocations)
+    .use('persist', 'device', updateDevice)
+    .use('evaluate', 'geofences', forEachCurrent(evaluateGeofences))
+    .use('evaluate', 'alert-rules', forEachCurrent(evaluateAlertRules))
+    .use('evaluate', 'trips', forEachCurrent(processTripFix))
+    .use('evaluate', 'stops', forEachCurrent(processStopFix))
+    .use('publish', 'status', publishStatus)
+    .use('publish', 'broadcast', broadcastNewest)
+    .use('publish', 'webhooks', dispatchNewest)
+    .use('publish', 'fleet', publishFleet);
+
+// Historical fixes, e.g. parsed from a file: stored only, leaving the device,
+// geofences, trips and stops untouched and broadcasting nothing
+const importPipeline = new Pipeline('Import', PHASES)
+    .use('validate', 'schema', validateFixes(importedFix))
+    .use('validate', 'deduplicate', skipDuplicates)
+    .use('enrich', 'location', buildLocations)
+    .use('persist', 'locations', insertLocations);
+
+// Ingest a single fix. Rejected fixes throw a 400 error.
+async function ingestLocation(device, fix) {
+    const { items: [item] } = await ingestionPipeline.run(createContext(device, [fix]));
+    if (item.status === 'rejected') {
+        throw new ApiError(400, item.error);
+    }
+
+    return { location: item.location, outOfOrder: item.outOfOrder };
+}
+
+// Ingest buffered fixes, reporting each one as accepted or rejected. They are
+// stored in one bulk insert and evaluated in the order they were recorded;
+// only the newest one updates the device's last location and is broadcast.
+async function ingestBatch(device, fixes) {
+    const { items, stored } = await ingestionPipeline.run(createContext(device, fixes));
+
+    return {
+        accepted: stored.length,
+        rejected: fixes.length - stored.length,
+        results: items.map(item => (item.status === 'accepted' ?
+            { index: item.index, status: 'accepted', locationId: item.location._id, outOfOrder: item.outOfOrder } :
+            { index: item.index, status: 'rejected', error: item.error }))
+    };
+}
+
+// Import historical fixes. Fixes are deduplicated on their timestamp (within
+// the import and against stored history) before they are bulk inserted.
+async function importHistory(device, fixes) {
+    const { items, stored } = await importPipeline.run(createContext(device, fixes));
+    const rejected = items.filter(item => item.status === 'rejected');
+
+    return {
+        total: fixes.length,
+        imported: stored.length,
+        duplicates: items.filter(item => item.status === 'duplicate').length,
+        rejected: rejected.length,
+        errors: rejected.slice(0, MAX_REPORTED_ERRORS).map(({ index, error }) => ({ index, error })),
+        range: stored.length > 0 ? {
+            startTime: stored[0].location.timestamp,
+            endTime: stored[stored.length - 1].location.timestamp
+        } : null
+    };
+}
+
+module.exports = {
+    ingestionPipeline,
+    importPipeline,
+    ingestLocation,
+    ingestBatch,
+    importHistory
+};
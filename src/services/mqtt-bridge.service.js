@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const { ApiError } = require('../middleware/error.middleware');
+const { openDeviceChannel } = require('./device-channel.service');
+
+// Broker to subscribe to, e.g. mqtt://localhost:1883; the bridge is off when unset
+const MQTT_URL = process.env.MQTT_URL;
+// Comma separated topic templates; {deviceId} marks the level holding the device ID
+const LOCATION_TOPICS = process.env.MQTT_LOCATION_TOPICS || 'devices/{deviceId}/location';
+// Optional topic template that rejected messages are reported on
+const ERROR_TOPIC = process.env.MQTT_ERROR_TOPIC;
+const QOS = [0, 1, 2].includes(parseInt(process.env.MQTT_QOS, 10)) ? parseInt(process.env.MQTT_QOS, 10) : 1;
+// Minutes a verified API key is trusted before it is checked again
+const AUTH_CACHE_TTL = (parseFloat(process.env.MQTT_AUTH_CACHE_TTL) || 5) * 60 * 1000;
+
+// Compile a topic template into a subscription filter and a function that
+// extracts the device ID from a matching topic
+function compileTopic(template) {
+    const levels = template.split('/');
+    const index = levels.indexOf('{deviceId}');
+    if (index === -1 || levels.lastIndexOf('{deviceId}') !== index || levels.includes('#')) {
+        throw new Error(`MQTT topic "${template}" must contain {deviceId} as one level and no #`);
+    }
+
+    return {
+        filter: levels.map(level => (level === '{deviceId}' ? '+' : level)).join('/'),
+        match(topic) {
+            const parts = topic.split('/');
+            if (parts.length !== levels.length) return null;
+
+            const matches = levels.every((level, i) => i === index || level === '+' || level === parts[i]);
+            return matches && parts[index] ? parts[index] : null;
+        }
+    };
+}
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest();
+
+class MqttBridge {
+    constructor(topics) {
+        this.topics = topics;
+        // Verified devices: deviceId -> { keyHash, channel (a promise), verifiedAt }
+        this.sessions = new Map();
+    }
+
+    // Ingestion channel of a device. Checking an API key is deliberately slow,
+    // so a key that matches the one verified within AUTH_CACHE_TTL is trusted.
+    // Messages arriving while a key is checked wait on the same promise, which
+    // keeps each device's fixes in the order they were published.
+    authenticate(deviceId, apiKey) {
+        if (typeof apiKey !== 'string' || !apiKey) {
+            return Promise.reject(new ApiError(401, 'No API key provided'));
+        }
+
+        const keyHash = hashKey(apiKey);
+        const session = this.sessions.get(deviceId);
+        const isFresh = session && Date.now() - session.verifiedAt < AUTH_CACHE_TTL;
+        if (isFresh && crypto.timingSafeEqual(session.keyHash, keyHash)) {
+            return session.channel;
+        }
+
+        // A different key only replaces a fresh session once it is verified
+        const entry = { keyHash, channel: openDeviceChannel(deviceId, apiKey), verifiedAt: Date.now() };
+        if (!isFresh) this.sessions.set(deviceId, entry);
+
+        entry.channel.then(
+            () => this.sessions.set(deviceId, entry),
+            () => {
+                if (this.sessions.get(deviceId) === entry) this.sessions.delete(deviceId);
+            }
+        );
+        return entry.channel;
+    }
+
+    // A message is a fix as sent to POST /api/locations plus the device's apiKey,
+    // or { apiKey, locations: [...] } as sent to POST /api/locations/batch
+    ingest(deviceId, message) {
+        let payload;
+        try {
+            payload = JSON.parse(message.toString());
+        } catch (error) {
+            return Promise.reject(new ApiError(400, 'Payload must be JSON'));
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return Promise.reject(new ApiError(400, 'Payload must be a JSON object'));
+        }
+
+        const { apiKey, locations, ...fix } = payload;
+        return this.authenticate(deviceId, apiKey)
+            .then(channel => (locations !== undefined ? channel.ingestBatch(locations) : channel.ingest(fix)));
+    }
+
+    async handleMessage(client, topic, message) {
+        const deviceId = this.topics.map(compiled => compiled.match(topic)).find(Boolean);
+        if (!deviceId) return;
+
+        try {
+            await this.ingest(deviceId, message);
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                console.error(`MQTT ingestion for device ${deviceId} failed:`, error);
+            }
+            if (ERROR_TOPIC) {
+                client.publish(ERROR_TOPIC.replace('{deviceId}', deviceId), JSON.stringify({
+                    topic,
+                    status: error instanceof ApiError ? error.statusCode : 500,
+                    message: error instanceof ApiError ? error.message : 'Failed to save location'
+                }));
+            }
+        }
+    }
+}
+
+// Connect to MQTT_URL and ingest fixes published on MQTT_LOCATION_TOPICS.
+// Returns the MQTT client, or null when no broker is configured.
+function startMqttBridge(url = MQTT_URL, templates = LOCATION_TOPICS) {
+    if (!url) return null;
+
+    const topics = [];
+    for (const template of templates.split(',').map(part => part.trim()).filter(Boolean)) {
+        try {
+            topics.push(compileTopic(template));
+        } catch (error) {
+            console.error(error.message);
+        }
+    }
+    if (topics.length === 0) return null;
+
+    const bridge = new MqttBridge(topics);
+    const client = mqtt.connect(url, {
+        clientId: process.env.MQTT_CLIENT_ID || `location-tracker-${crypto.randomBytes(4).toString('hex')}`,
+        username: process.env.MQTT_USERNAME,
+        password: process.env.MQTT_PASSWORD
+    });
+
+    client.on('connect', () => {
+        const filters = topics.map(topic => topic.filter);
+        client.subscribe(filters, { qos: QOS }, (error) => {
+            if (error) {
+                console.error('MQTT subscription failed:', error);
+                return;
+            }
+            console.log(`Subscribed to MQTT topics ${filters.join(', ')}`);
+        });
+    });
+    client.on('message', (topic, message) => bridge.handleMessage(client, topic, message));
+    client.on('error', (error) => console.error('MQTT connection error:', error.message));
+
+    return client;
+}
+
+module.exports = {
+    compileTopic,
+    startMqttBridge
+};
@@ -0,0 +1,169 @@
+const Location = require('../models/location.model');
+const Trip = require('../models/trip.model');
+const { MIN_MOVING_SPEED, IDLE_TIMEOUT } = require('./trip.service');
+
+const EARTH_RADIUS = 6371e3;
+const DEFAULT_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+const toRadians = (expression) => ({ $degreesToRadians: expression });
+const squaredSine = (expression) => ({ $pow: [{ $sin: { $divide: [expression, 2] } }, 2] });
+
+// Haversine distance in meters between the current and previous fix, as an
+// aggregation expression (mirrors calculateDistance in utils/geo)
+function segmentDistance() {
+    const lng1 = toRadians({ $arrayElemAt: ['$previousCoordinates', 0] });
+    const lat1 = toRadians({ $arrayElemAt: ['$previousCoordinates', 1] });
+    const lng2 = toRadians({ $arrayElemAt: ['$location.coordinates', 0] });
+    const lat2 = toRadians({ $arrayElemAt: ['$location.coordinates', 1] });
+
+    const a = {
+        $add: [
+            squaredSine({ $subtract: [lat2, lat1] }),
+            { $multiply: [{ $cos: lat1 }, { $cos: lat2 }, squaredSine({ $subtract: [lng2, lng1] })] }
+        ]
+    };
+
+    return {
+        $cond: [
+            { $eq: ['$previousCoordinates', null] },
+            0,
+            { $multiply: [2 * EARTH_RADIUS, { $asin: { $min: [1, { $sqrt: a }] } }] }
+        ]
+    };
+}
+
+const bucketOf = (field, interval, timezone) => ({
+    $dateTrunc: { date: field, unit: interval, timezone, startOfWeek: 'monday' }
+});
+
+// Per-bucket distance, time and speed figures from the device's fixes. Each
+// segment between consecutive fixes counts towards the bucket of its later
+// fix; segments spanning more than IDLE_TIMEOUT are treated as gaps in
+// reporting and count towards distance only.
+function locationStats(deviceId, from, to, interval, timezone) {
+    const counted = { $and: [{ $gt: ['$elapsed', 0] }, { $lte: ['$elapsed', IDLE_TIMEOUT / 1000] }] };
+
+    return Location.aggregate([
+        { $match: { deviceId, timestamp: { $gte: from, $lte: to } } },
+        {
+            $setWindowFields: {
+                sortBy: { timestamp: 1 },
+                output: {
+                    previousCoordinates: { $shift: { output: '$location.coordinates', by: -1, default: null } },
+                    previousTimestamp: { $shift: { output: '$timestamp', by: -1, default: null } }
+                }
+            }
+        },
+        {
+            $addFields: {
+                distance: segmentDistance(),
+                elapsed: {
+                    $cond: [
+                        { $eq: ['$previousTimestamp', null] },
+                        0,
+                        { $divide: [{ $subtract: ['$timestamp', '$previousTimestamp'] }, 1000] }
+                    ]
+                }
+            }
+        },
+        {
+            // Reported speed, or the speed derived from the previous fix when it is higher
+            $addFields: {
+                segmentSpeed: {
+                    $max: [
+                        { $ifNull: ['$speed', 0] },
+                        { $cond: [{ $gt: ['$elapsed', 0] }, { $divide: ['$distance', '$elapsed'] }, 0] }
+                    ]
+                }
+            }
+        },
+        {
+            $group: {
+                _id: bucketOf('$timestamp', interval, timezone),
+                fixes: { $sum: 1 },
+                distance: { $sum: '$distance' },
+                movingTime: {
+                    $sum: { $cond: [{ $and: [counted, { $gte: ['$segmentSpeed', MIN_MOVING_SPEED] }] }, '$elapsed', 0] }
+                },
+                idleTime: {
+                    $sum: { $cond: [{ $and: [counted, { $lt: ['$segmentSpeed', MIN_MOVING_SPEED] }] }, '$elapsed', 0] }
+                },
+                maxSpeed: { $max: '$segmentSpeed' }
+            }
+        }
+    ]);
+}
+
+// Number of trips started in each bucket
+function tripStats(deviceId, from, to, interval, timezone) {
+    return Trip.aggregate([
+        { $match: { deviceId, startTime: { $gte: from, $lte: to } } },
+        { $group: { _id: bucketOf('$startTime', interval, timezone), trips: { $sum: 1 } } }
+    ]);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function summarize(stats) {
+    return {
+        fixes: stats.fixes,
+        trips: stats.trips,
+        distance: round(stats.distance),
+        movingTime: Math.round(stats.movingTime),
+        idleTime: Math.round(stats.idleTime),
+        maxSpeed: round(stats.maxSpeed),
+        // Average speed while moving
+        avgSpeed: stats.movingTime > 0 ? round(stats.distance / stats.movingTime) : 0
+    };
+}
+
+// Distance (meters), moving and idle time (seconds), max/avg speed (m/s),
+// fix and trip counts for a device, per interval bucket and in total.
+// Defaults to the last 7 days.
+async function getDeviceStats(deviceId, { from, to, interval = 'day', timezone = 'UTC' } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_WINDOW);
+
+    const [locationBuckets, tripBuckets] = await Promise.all([
+        locationStats(deviceId, start, end, interval, timezone),
+        tripStats(deviceId, start, end, interval, timezone)
+    ]);
+
+    const empty = { fixes: 0, trips: 0, distance: 0, movingTime: 0, idleTime: 0, maxSpeed: 0 };
+    const buckets = new Map();
+    const bucketFor = (date) => {
+        const key = date.getTime();
+        if (!buckets.has(key)) buckets.set(key, { start: date, ...empty });
+        return buckets.get(key);
+    };
+
+    for (const { _id, ...stats } of locationBuckets) {
+        Object.assign(bucketFor(_id), stats);
+    }
+    for (const { _id, trips } of tripBuckets) {
+        bucketFor(_id).trips = trips;
+    }
+
+    const sorted = [...buckets.values()].sort((a, b) => a.start - b.start);
+    const totals = sorted.reduce((sum, bucket) => ({
+        fixes: sum.fixes + bucket.fixes,
+        trips: sum.trips + bucket.trips,
+        distance: sum.distance + bucket.distance,
+        movingTime: sum.movingTime + bucket.movingTime,
+        idleTime: sum.idleTime + bucket.idleTime,
+        maxSpeed: Math.max(sum.maxSpeed, bucket.maxSpeed)
+    }), empty);
+
+    return {
+        from: start,
+        to: end,
+        interval,
+        timezone,
+        totals: summarize(totals),
+        buckets: sorted.map(bucket => ({ start: bucket.start, ...summarize(bucket) }))
+    };
+}
+
+module.exports = {
+    getDeviceStats
+};
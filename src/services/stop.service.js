@@ -0,0 +1,66 @@
+const Stop = require('../models/stop.model');
+const { calculateDistance } = require('../utils/geo');
+
+// Maximum distance in meters from the stop centroid for a fix to belong to the stop
+const STOP_RADIUS = parseFloat(process.env.STOP_RADIUS) || 50;
+// Maximum reported speed (m/s) of a fix that belongs to a stop
+const STOP_MAX_SPEED = parseFloat(process.env.STOP_MAX_SPEED) || 1;
+// Minutes a cluster must last to be reported as a stop
+const STOP_MIN_DURATION = (parseFloat(process.env.STOP_MIN_DURATION) || 5) * 60;
+
+// Close an open stop; clusters that never lasted long enough are discarded
+async function closeStop(stop) {
+    if (!stop.confirmed) {
+        await stop.deleteOne();
+        return;
+    }
+
+    stop.status = 'closed';
+    await stop.save();
+}
+
+// Cluster consecutive low-movement fixes into stops. A fix within STOP_RADIUS of
+// the open stop's centroid extends it; any other fix closes it, and a slow fix
+// starts a new candidate. Fixes must be processed in the order they were recorded.
+async function processStopFix(device, location) {
+    const coordinates = location.location.coordinates;
+    const timestamp = location.timestamp;
+    const slow = (location.speed || 0) <= STOP_MAX_SPEED;
+
+    const stop = await Stop.findOne({ deviceId: device.deviceId, status: 'open' });
+    if (stop && timestamp < stop.departureTime) return stop;
+
+    if (stop) {
+        if (slow && calculateDistance(stop.centroid.coordinates, coordinates) <= STOP_RADIUS) {
+            // Running mean of the cluster's positions
+            const count = stop.pointCount + 1;
+            const [lng, lat] = stop.centroid.coordinates;
+            stop.centroid.coordinates = [
+                lng + (coordinates[0] - lng) / count,
+                lat + (coordinates[1] - lat) / count
+            ];
+            stop.pointCount = count;
+            stop.departureTime = timestamp;
+            stop.duration = Math.round((timestamp - stop.arrivalTime) / 1000);
+            stop.confirmed = stop.duration >= STOP_MIN_DURATION;
+
+            await stop.save();
+            return stop;
+        }
+
+        await closeStop(stop);
+    }
+
+    if (!slow) return null;
+
+    return Stop.create({
+        deviceId: device.deviceId,
+        centroid: { type: 'Point', coordinates },
+        arrivalTime: timestamp,
+        departureTime: timestamp
+    });
+}
+
+module.exports = {
+    processStopFix
+};
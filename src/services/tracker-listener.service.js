@@ -0,0 +1,176 @@
+const net = require('net');
+const dgram = require('dgram');
+const protocols = require('../protocols');
+const { ApiError } = require('../middleware/error.middleware');
+const { openDeviceChannel } = require('./device-channel.service');
+
+// Listeners to start, as comma separated protocol:transport:port entries,
+// e.g. "nmea:tcp:5005,nmea:udp:5005"
+const LISTENERS = process.env.TRACKER_LISTENERS || '';
+// Minutes without data after which a TCP connection is closed, or a UDP
+// sender has to log in again
+const IDLE_TIMEOUT = (parseFloat(process.env.TRACKER_IDLE_TIMEOUT) || 10) * 60 * 1000;
+// Milliseconds without data after which a fix still being assembled from
+// several sentences is stored as it is
+const FLUSH_DELAY = 1000;
+
+const TRANSPORTS = ['tcp', 'udp'];
+
+// Parse TRACKER_LISTENERS; invalid entries are reported and skipped
+function parseListeners(value) {
+    const listeners = [];
+    for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [protocol, transport, portValue] = entry.split(':');
+        const port = parseInt(portValue, 10);
+
+        if (!protocols[protocol] || !TRANSPORTS.includes(transport) || !(port > 0 && port < 65536)) {
+            console.error(`Ignoring invalid tracker listener "${entry}"`);
+            continue;
+        }
+        listeners.push({ protocol: protocols[protocol], transport, port });
+    }
+    return listeners;
+}
+
+// Handle decoded messages in order. A login opens the ingestion channel that
+// the following fixes are fed through. Returns false when the login failed.
+async function handleMessages(connection, protocol, messages) {
+    for (const message of messages) {
+        if (message.type === 'login') {
+            try {
+                connection.channel = await openDeviceChannel(message.deviceId, message.apiKey);
+                connection.reply(protocol.loginReply());
+            } catch (error) {
+                if (!(error instanceof ApiError)) throw error;
+                connection.channel = null;
+                connection.reply(protocol.loginReply(error));
+                return false;
+            }
+        } else if (message.type === 'fix' && connection.channel) {
+            try {
+                await connection.channel.ingest(message.fix);
+            } catch (error) {
+                // Invalid fixes are dropped like rejected HTTP requests
+                if (!(error instanceof ApiError)) throw error;
+            }
+        }
+        // Fixes before a login and undecodable lines are ignored
+    }
+    return true;
+}
+
+function startTcpListener(protocol, port) {
+    const server = net.createServer((socket) => {
+        const decoder = protocol.createDecoder();
+        const connection = {
+            channel: null,
+            reply: (text) => socket.write(text)
+        };
+        let queue = Promise.resolve();
+        let flushTimer = null;
+
+        // Handle messages after the ones already queued, holding further data
+        // until they are stored
+        const handle = (messages) => {
+            if (messages.length === 0) return;
+
+            socket.pause();
+            queue = queue
+                .then(() => handleMessages(connection, protocol, messages))
+                .then(loggedIn => (loggedIn ? socket.resume() : socket.end()))
+                .catch((error) => {
+                    console.error(`${protocol.name} TCP ingestion failed:`, error);
+                    socket.destroy();
+                });
+        };
+
+        socket.setTimeout(IDLE_TIMEOUT, () => socket.destroy());
+        // Connection resets are routine for trackers on mobile networks
+        socket.on('error', () => socket.destroy());
+
+        socket.on('data', (chunk) => {
+            clearTimeout(flushTimer);
+            handle(decoder.decode(chunk));
+            flushTimer = setTimeout(() => handle(decoder.flush()), FLUSH_DELAY);
+        });
+
+        socket.on('close', () => {
+            clearTimeout(flushTimer);
+            handle(decoder.flush());
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`Listening for ${protocol.name} trackers on TCP port ${port}`);
+    });
+    return server;
+}
+
+// UDP has no connections: senders are tracked by address and port once they
+// have logged in, and forgotten after IDLE_TIMEOUT without datagrams
+function startUdpListener(protocol, port) {
+    const socket = dgram.createSocket('udp4');
+    const senders = new Map();
+
+    socket.on('message', (datagram, remote) => {
+        const key = `${remote.address}:${remote.port}`;
+        let sender = senders.get(key);
+        if (!sender) {
+            sender = {
+                channel: null,
+                decoder: protocol.createDecoder(),
+                queue: Promise.resolve(),
+                pending: 0,
+                reply: (text) => socket.send(text, remote.port, remote.address)
+            };
+            senders.set(key, sender);
+        }
+        sender.lastSeenAt = Date.now();
+
+        // Datagrams from one sender are handled in the order they arrived
+        const handle = (messages) => {
+            if (messages.length === 0) return;
+
+            sender.pending += 1;
+            sender.queue = sender.queue
+                .then(() => handleMessages(sender, protocol, messages))
+                .catch((error) => console.error(`${protocol.name} UDP ingestion failed:`, error))
+                .finally(() => {
+                    sender.pending -= 1;
+                    // Keep only senders that logged in
+                    if (sender.pending === 0 && !sender.channel && senders.get(key) === sender) {
+                        senders.delete(key);
+                    }
+                });
+        };
+
+        clearTimeout(sender.flushTimer);
+        handle(sender.decoder.decode(datagram, true));
+        sender.flushTimer = setTimeout(() => handle(sender.decoder.flush()), FLUSH_DELAY);
+    });
+
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - IDLE_TIMEOUT;
+        for (const [key, sender] of senders.entries()) {
+            if (sender.lastSeenAt < cutoff) senders.delete(key);
+        }
+    }, IDLE_TIMEOUT);
+    socket.on('close', () => clearInterval(sweep));
+    socket.on('error', (error) => console.error(`${protocol.name} UDP listener error:`, error));
+
+    socket.bind(port, () => {
+        console.log(`Listening for ${protocol.name} trackers on UDP port ${port}`);
+    });
+    return socket;
+}
+
+// Start the listeners configured in TRACKER_LISTENERS
+function startTrackerListeners(value = LISTENERS) {
+    return parseListeners(value).map(({ protocol, transport, port }) => (transport === 'tcp' ?
+        startTcpListener(protocol, port) :
+        startUdpListener(protocol, port)));
+}
+
+module.exports = {
+    startTrackerListeners
+};
@@ -0,0 +1,183 @@
+const Trip = require('../models/trip.model');
+const Location = require('../models/location.model');
+const { calculateDistance } = require('../utils/geo');
+const { simplifyTrack } = require('../utils/track');
+
+// Speed (m/s) at or above which a device is considered moving
+const MIN_MOVING_SPEED = parseFloat(process.env.TRIP_MIN_SPEED) || 1.5;
+// Minutes without movement after which a trip ends
+const IDLE_TIMEOUT = (parseFloat(process.env.TRIP_IDLE_TIMEOUT) || 5) * 60 * 1000;
+// Trips shorter than this many meters are discarded as GPS drift
+const MIN_TRIP_DISTANCE = parseFloat(process.env.TRIP_MIN_DISTANCE) || 100;
+// Tolerance in meters used to simplify the stored polyline
+const POLYLINE_TOLERANCE = parseFloat(process.env.TRIP_POLYLINE_TOLERANCE) || 10;
+// Fixes simplified at a time while building a trip's polyline
+const POLYLINE_CHUNK_SIZE = 10000;
+
+// Reported speed, or the speed derived from the previous fix when it is higher
+function movementSpeed(location, previous) {
+    let speed = location.speed || 0;
+    if (previous) {
+        const elapsed = (location.timestamp - previous.timestamp) / 1000;
+        if (elapsed > 0) {
+            const distance = calculateDistance(previous.coordinates, location.location.coordinates);
+            speed = Math.max(speed, distance / elapsed);
+        }
+    }
+    return speed;
+}
+
+// Simplified polyline of a trip's fixes up to `endTime`. The fixes are streamed
+// and simplified a chunk at a time so memory stays bounded on long trips; the
+// ends of every chunk are kept, so each dropped fix is still within
+// POLYLINE_TOLERANCE of the line.
+async function buildPolyline(trip, endTime) {
+    const cursor = Location.find({
+        deviceId: trip.deviceId,
+        timestamp: { $gte: trip.startTime, $lte: endTime }
+    })
+        .sort({ timestamp: 1 })
+        .select('location.coordinates timestamp')
+        .lean()
+        .cursor();
+
+    const coordinates = [];
+    let chunk = [];
+    for await (const point of cursor) {
+        chunk.push(point.location.coordinates);
+        if (chunk.length >= POLYLINE_CHUNK_SIZE) {
+            // The chunk's last fix starts the next chunk
+            coordinates.push(...simplifyTrack(chunk, POLYLINE_TOLERANCE).slice(0, -1));
+            chunk = [chunk[chunk.length - 1]];
+        }
+    }
+    coordinates.push(...simplifyTrack(chunk, POLYLINE_TOLERANCE));
+    return coordinates;
+}
+
+// Close a trip at its last moving fix and store the simplified track.
+// Trips that never covered MIN_TRIP_DISTANCE are dropped.
+async function completeTrip(trip) {
+    const { tracking } = trip;
+
+    if (tracking.distanceAtLastMove < MIN_TRIP_DISTANCE) {
+        await trip.deleteOne();
+        return null;
+    }
+
+    const coordinates = await buildPolyline(trip, tracking.lastMovingAt);
+
+    trip.status = 'completed';
+    trip.endTime = tracking.lastMovingAt;
+    trip.endLocation = { type: 'Point', coordinates: tracking.lastMovingCoordinates };
+    trip.distance = tracking.distanceAtLastMove;
+    trip.duration = Math.round((trip.endTime - trip.startTime) / 1000);
+    trip.avgSpeed = trip.duration > 0 ? trip.distance / trip.duration : 0;
+    if (coordinates.length >= 2) {
+        trip.polyline = { type: 'LineString', coordinates };
+    }
+    trip.tracking = undefined;
+
+    await trip.save();
+    return trip;
+}
+
+// Update trip segmentation with a new fix: extend the active trip, end it after
+// IDLE_TIMEOUT without movement, or start a new one when the device moves.
+// Fixes must be processed in the order they were recorded.
+async function processTripFix(device, location) {
+    const coordinates = location.location.coordinates;
+    const timestamp = location.timestamp;
+
+    let trip = await Trip.findOne({ deviceId: device.deviceId, status: 'active' });
+    if (trip && timestamp < trip.tracking.lastTimestamp) return trip;
+
+    if (trip && timestamp - trip.tracking.lastMovingAt > IDLE_TIMEOUT) {
+        await completeTrip(trip);
+        trip = null;
+    }
+
+    if (trip) {
+        const { tracking } = trip;
+        const previous = { coordinates: tracking.lastCoordinates, timestamp: tracking.lastTimestamp };
+        const speed = movementSpeed(location, previous);
+
+        trip.distance += calculateDistance(previous.coordinates, coordinates);
+        trip.pointCount += 1;
+        trip.maxSpeed = Math.max(trip.maxSpeed, speed);
+        trip.endLocation = { type: 'Point', coordinates };
+        tracking.lastCoordinates = coordinates;
+        tracking.lastTimestamp = timestamp;
+
+        if (speed >= MIN_MOVING_SPEED) {
+            tracking.lastMovingAt = timestamp;
+            tracking.lastMovingCoordinates = coordinates;
+            tracking.distanceAtLastMove = trip.distance;
+        }
+
+        trip.duration = Math.round((timestamp - trip.startTime) / 1000);
+        trip.avgSpeed = trip.duration > 0 ? trip.distance / trip.duration : 0;
+
+        await trip.save();
+        return trip;
+    }
+
+    // Not on a trip: compare with the previous recorded fix to see if the device started moving
+    const previousLocation = await Location.findOne({
+        deviceId: device.deviceId,
+        timestamp: { $lt: timestamp }
+    })
+        .sort({ timestamp: -1 })
+        .select('location.coordinates timestamp');
+
+    const previous = previousLocation && timestamp - previousLocation.timestamp <= IDLE_TIMEOUT ?
+        { coordinates: previousLocation.location.coordinates, timestamp: previousLocation.timestamp } :
+        null;
+
+    const speed = movementSpeed(location, previous);
+    if (speed < MIN_MOVING_SPEED) return null;
+
+    // The device was already moving between the previous fix and this one
+    const start = previous || { coordinates, timestamp };
+    const distance = previous ? calculateDistance(previous.coordinates, coordinates) : 0;
+
+    return Trip.create({
+        deviceId: device.deviceId,
+        startTime: start.timestamp,
+        startLocation: { type: 'Point', coordinates: start.coordinates },
+        endLocation: { type: 'Point', coordinates },
+        distance,
+        maxSpeed: speed,
+        pointCount: previous ? 2 : 1,
+        duration: Math.round((timestamp - start.timestamp) / 1000),
+        tracking: {
+            lastCoordinates: coordinates,
+            lastTimestamp: timestamp,
+            lastMovingAt: timestamp,
+            lastMovingCoordinates: coordinates,
+            distanceAtLastMove: distance
+        }
+    });
+}
+
+// Complete active trips whose device has not moved for IDLE_TIMEOUT, e.g.
+// because it stopped reporting
+async function closeStaleTrips(deviceId, now = new Date()) {
+    const query = {
+        status: 'active',
+        'tracking.lastMovingAt': { $lt: new Date(now.getTime() - IDLE_TIMEOUT) }
+    };
+    if (deviceId) query.deviceId = deviceId;
+
+    const trips = await Trip.find(query);
+    for (const trip of trips) {
+        await completeTrip(trip);
+    }
+}
+
+module.exports = {
+    MIN_MOVING_SPEED,
+    IDLE_TIMEOUT,
+    processTripFix,
+    closeStaleTrips
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhook-delivery.model');
+
+// Milliseconds to wait for a webhook to respond
+const TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000;
+// Attempts before a delivery is moved to the dead-letter list
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+// Seconds before the first retry; doubled after every further failure
+const RETRY_DELAY = (parseFloat(process.env.WEBHOOK_RETRY_DELAY) || 30) * 1000;
+// Milliseconds between checks for due retries
+const RETRY_INTERVAL = parseInt(process.env.WEBHOOK_RETRY_INTERVAL, 10) || 10000;
+// Due deliveries attempted per check
+const RETRY_BATCH_SIZE = 50;
+// How long a claimed delivery is held before another attempt may take it over
+const LEASE_DURATION = TIMEOUT + 30000;
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>", sent as X-Webhook-Signature
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Milliseconds to wait after the given number of failed attempts
+function retryDelay(attempts) {
+    return RETRY_DELAY * 2 ** (attempts - 1);
+}
+
+// POST a JSON body; resolves with the response status and rejects on network
+// errors and timeouts. Redirects are not followed.
+function postJson(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+
+        const req = client.request(target, {
+            method: 'POST',
+            timeout: TIMEOUT,
+            headers: {
+                ...headers,
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }
+        }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`No response within ${TIMEOUT} ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// Take a due delivery for one attempt. The lease keeps the immediate attempt,
+// the retry worker and other server instances from sending it twice.
+async function claimDelivery(deliveryId, now = new Date()) {
+    return WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + LEASE_DURATION) },
+        { new: true }
+    );
+}
+
+// Send a claimed delivery once and record the outcome: delivered on any 2xx
+// response, otherwise retried with exponential backoff until MAX_ATTEMPTS
+async function attemptDelivery(delivery) {
+    const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+    const attemptedAt = new Date();
+    const attempt = { attemptedAt };
+
+    if (webhook) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+
+        try {
+            attempt.responseStatus = await postJson(webhook.url, body, {
+                'User-Agent': 'location-tracker-webhooks',
+                'X-Webhook-Id': webhook._id.toString(),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+            });
+            if (attempt.responseStatus < 200 || attempt.responseStatus >= 300) {
+                attempt.error = `Webhook responded with HTTP ${attempt.responseStatus}`;
+            }
+        } catch (error) {
+            attempt.error = error.message;
+        }
+    } else {
+        attempt.error = 'Webhook no longer exists';
+    }
+    attempt.duration = Date.now() - attemptedAt.getTime();
+
+    delivery.attempts += 1;
+    delivery.history.push(attempt);
+
+    if (!attempt.error) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = attemptedAt;
+        delivery.expiresAt = new Date(attemptedAt.getTime() + WebhookDelivery.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        delivery.nextAttemptAt = undefined;
+    } else if (!webhook || delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'dead';
+        delivery.nextAttemptAt = undefined;
+    } else {
+        delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+    }
+
+    await delivery.save();
+    return delivery;
+}
+
+// Claim and attempt a delivery if it is due. Errors are logged, not thrown.
+async function processDelivery(deliveryId, now = new Date()) {
+    try {
+        const delivery = await claimDelivery(deliveryId, now);
+        if (delivery) {
+            await attemptDelivery(delivery);
+        }
+    } catch (error) {
+        console.error(`Webhook delivery ${deliveryId} failed:`, error);
+    }
+}
+
+// Store one delivery per webhook and attempt them in the background
+async function queueDeliveries(webhooks, event, deviceId, data) {
+    const createdAt = new Date();
+
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => {
+        const _id = new mongoose.Types.ObjectId();
+        return {
+            _id,
+            webhookId: webhook._id,
+            event,
+            deviceId,
+            payload: { id: _id.toString(), event, deviceId, timestamp: createdAt, data },
+            nextAttemptAt: createdAt,
+            createdAt
+        };
+    }));
+
+    for (const delivery of deliveries) {
+        setImmediate(() => processDelivery(delivery._id));
+    }
+    return deliveries;
+}
+
+// Queue an event for every enabled webhook subscribed to it for the device.
+// Like WebSocket broadcasts this never throws, so a webhook problem cannot
+// fail the ingestion or request that produced the event.
+async function dispatchWebhookEvent(event, device, data) {
+    try {
+        const webhooks = await Webhook.findForEvent(event, device);
+        if (webhooks.length === 0) return [];
+
+        return await queueDeliveries(webhooks, event, device.deviceId, data);
+    } catch (error) {
+        console.error(`Webhook dispatch of ${event} failed:`, error);
+        return [];
+    }
+}
+
+// Queue a 'ping' event for a webhook regardless of its subscriptions
+async function sendTestEvent(webhook) {
+    const [delivery] = await queueDeliveries([webhook], 'ping', undefined, {
+        webhookId: webhook._id,
+        name: webhook.name
+    });
+    return delivery;
+}
+
+// Put a dead-lettered delivery back in the queue with a fresh set of attempts
+async function retryDelivery(delivery) {
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date();
+    await delivery.save();
+
+    setImmediate(() => processDelivery(delivery._id));
+    return delivery;
+}
+
+// Attempt deliveries whose retry is due
+async function retryDueDeliveries(now = new Date()) {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(RETRY_BATCH_SIZE)
+        .select('_id');
+
+    await Promise.all(due.map(({ _id }) => processDelivery(_id, now)));
+}
+
+// Run retryDueDeliveries every RETRY_INTERVAL milliseconds. A run that is still
+// going when the next one is due is not overlapped.
+function startWebhookWorker(interval = RETRY_INTERVAL) {
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await retryDueDeliveries();
+        } catch (error) {
+            console.error('Webhook retry check failed:', error);
+        } finally {
+            running = false;
+        }
+    }, interval);
+}
+
+module.exports = {
+    generateSecret,
+    signPayload,
+    retryDelay,
+    dispatchWebhookEvent,
+    sendTestEvent,
+    retryDelivery,
+    retryDueDeliveries,
+    startWebhookWorker
+};
@@ -1,81 +1,441 @@
 const Device = require('../models/device.model');
+const { ApiError } = require('../middleware/error.middleware');
+const { verifyUserToken, getDeviceAccess } = require('../middleware/auth.middleware');
+const { getFleetSnapshot, getFleetEntry, matchesFleetFilter } = require('./fleet.service');
+const { fleetFilter, deviceSubscription } = require('../validators/device.validator');
+
+// Fleet entry fields compared to build fleet_update deltas
+const FLEET_FIELDS = ['name', 'groups', 'location', 'status', 'lastSeenAt', 'geofences'];
+// Milliseconds between liveness pings; a client that has not answered the
+// previous ping by the next one is disconnected
+const PING_INTERVAL = parseInt(process.env.WS_PING_INTERVAL, 10) || 30000;
+// Recent events kept for clients resuming after a disconnect
+const REPLAY_BUFFER_SIZE = parseInt(process.env.WS_REPLAY_BUFFER_SIZE, 10) || 1000;
+
+// JWT from the Authorization header, or from the token query parameter for
+// browsers, which cannot set headers on the handshake
+function readToken(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.split(' ')[1];
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+function sendError(ws, message) {
+    ws.send(JSON.stringify({ type: 'error', message }));
+}
 
 class WebSocketService {
     constructor() {
-        this.connections = new Map();
+        // Connected clients: ws -> { user, devices: deviceIds subscribed directly,
+        // groups: group -> deviceIds it resolved to, subscribed: every deviceId
+        // the client receives, isAlive }
+        this.clients = new Map();
+        // Device subscribers: deviceId -> Set of ws
+        this.deviceSubscribers = new Map();
+        // Fleet subscribers: ws -> { filters, visible: Set of deviceIds sent to the client }
+        this.fleetSubscribers = new Map();
+        // Last fleet entry pushed for each device
+        this.fleetState = new Map();
+        // Alert subscribers: ws -> severities to receive (null for all)
+        this.alertSubscribers = new Map();
+        // Sequence number of the last event. Seeded from the clock so that
+        // numbers issued before a restart are never reused, which lets resumes
+        // from a previous process be detected.
+        this.seq = Date.now() * 1000;
+        // Last REPLAY_BUFFER_SIZE events as { seq, deviceId, severity, payload }, oldest first
+        this.replayBuffer = [];
+    }
+
+    // Authenticate a handshake request; resolves with the user or rejects with an ApiError
+    async authenticate(req) {
+        const token = readToken(req);
+        if (!token) {
+            throw new ApiError(401, 'No token provided');
+        }
+        return verifyUserToken(token);
     }
 
-    // Initialize WebSocket server
+    // Initialize WebSocket server. Connections must have been authenticated
+    // during the handshake, which sets req.user.
     setupWebSocket(wss) {
-        wss.on('connection', (ws) => {
-            console.log('New WebSocket connection');
+        wss.on('connection', (ws, req) => {
+            const client = {
+                user: req.user,
+                devices: new Set(),
+                groups: new Map(),
+                subscribed: new Set(),
+                isAlive: true
+            };
+            this.clients.set(ws, client);
+            console.log(`New WebSocket connection from ${client.user.username}`);
+
+            ws.on('pong', () => {
+                client.isAlive = true;
+            });
 
             ws.on('message', async (message) => {
                 try {
                     const data = JSON.parse(message);
-                    
-                    // Handle subscription to device updates
-                    if (data.type === 'subscribe' && data.deviceId) {
-                        // Verify device exists
-                        const device = await Device.findOne({ deviceId: data.deviceId });
-                        if (!device) {
-                            ws.send(JSON.stringify({
-                                type: 'error',
-                                message: 'Device not found'
-                            }));
+
+                    // Application level ping for clients that cannot see protocol pings
+                    if (data.type === 'ping') {
+                        client.isAlive = true;
+                        ws.send(JSON.stringify({ type: 'pong' }));
+                    }
+
+                    // Handle subscription to updates of devices and device groups
+                    if (data.type === 'subscribe') {
+                        await this.subscribe(ws, client, data);
+                    }
+
+                    // Replay events missed since the given sequence number
+                    if (data.type === 'resume') {
+                        this.resume(ws, client, data.resumeFrom);
+                    }
+
+                    if (data.type === 'unsubscribe') {
+                        this.unsubscribe(ws, client, data);
+                    }
+
+                    // Handle subscription to the fleet-wide live view
+                    if (data.type === 'subscribe_fleet') {
+                        if (client.user.role !== 'admin') {
+                            sendError(ws, 'Admin access required');
                             return;
                         }
+                        await this.subscribeFleet(ws, data.filters || {});
+                    }
 
-                        // Store connection with deviceId
-                        this.connections.set(data.deviceId, ws);
-                        
-                        ws.send(JSON.stringify({
-                            type: 'subscribed',
-                            deviceId: data.deviceId
-                        }));
+                    if (data.type === 'unsubscribe_fleet') {
+                        this.fleetSubscribers.delete(ws);
+                        ws.send(JSON.stringify({ type: 'unsubscribed_fleet' }));
+                    }
+
+                    // Handle subscription to alerts of all devices
+                    if (data.type === 'subscribe_alerts') {
+                        if (client.user.role !== 'admin') {
+                            sendError(ws, 'Admin access required');
+                            return;
+                        }
+                        const severities = Array.isArray(data.severities) && data.severities.length > 0 ?
+                            data.severities :
+                            null;
+                        this.alertSubscribers.set(ws, severities);
+                        ws.send(JSON.stringify({ type: 'subscribed_alerts', severities, seq: this.seq }));
                     }
-                } catch (error) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: 'Invalid message format'
-                    }));
-                }
-            });
 
-            ws.on('close', () => {
-                // Remove connection when closed
-                for (const [deviceId, conn] of this.connections.entries()) {
-                    if (conn === ws) {
-                        this.connections.delete(deviceId);
+                    if (data.type === 'unsubscribe_alerts') {
+                        this.alertSubscribers.delete(ws);
+                        ws.send(JSON.stringify({ type: 'unsubscribed_alerts' }));
                     }
+                } catch (error) {
+                    sendError(ws, error instanceof ApiError ? error.message : 'Invalid message format');
                 }
             });
+
+            ws.on('close', () => this.removeClient(ws));
         });
+
+        const liveness = setInterval(() => this.checkLiveness(), PING_INTERVAL);
+        wss.on('close', () => clearInterval(liveness));
+    }
+
+    // Disconnect clients that did not answer the previous ping and ping the rest.
+    // Terminated sockets are cleaned up by their close handler.
+    checkLiveness() {
+        for (const [ws, client] of this.clients.entries()) {
+            if (!client.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            client.isAlive = false;
+            ws.ping();
+        }
+    }
+
+    removeClient(ws) {
+        const client = this.clients.get(ws);
+        if (client) {
+            client.devices.clear();
+            client.groups.clear();
+            this.updateDeviceSubscribers(ws, client);
+        }
+        this.clients.delete(ws);
+        this.fleetSubscribers.delete(ws);
+        this.alertSubscribers.delete(ws);
+    }
+
+    // Recompute the devices a client receives from its device and group
+    // subscriptions, and update the deviceId -> sockets index to match
+    updateDeviceSubscribers(ws, client) {
+        const subscribed = new Set(client.devices);
+        for (const members of client.groups.values()) {
+            members.forEach(deviceId => subscribed.add(deviceId));
+        }
+
+        for (const deviceId of client.subscribed) {
+            if (subscribed.has(deviceId)) continue;
+            const sockets = this.deviceSubscribers.get(deviceId);
+            sockets.delete(ws);
+            if (sockets.size === 0) this.deviceSubscribers.delete(deviceId);
+        }
+        for (const deviceId of subscribed) {
+            if (!this.deviceSubscribers.has(deviceId)) this.deviceSubscribers.set(deviceId, new Set());
+            this.deviceSubscribers.get(deviceId).add(ws);
+        }
+
+        client.subscribed = subscribed;
+    }
+
+    sendSubscriptions(ws, client, type, deviceId) {
+        ws.send(JSON.stringify({
+            type,
+            deviceId,
+            deviceIds: [...client.subscribed],
+            groups: [...client.groups.keys()],
+            seq: this.seq
+        }));
+    }
+
+    // Subscribe to a deviceId, a list of deviceIds and/or groups. Every listed
+    // device must exist and be accessible to the user, as with
+    // authorizeDeviceAccess. Groups resolve to the accessible devices that are
+    // in them at the time of subscribing. With resumeFrom, events missed since
+    // then are replayed once subscribed.
+    async subscribe(ws, client, data) {
+        const { error, value } = deviceSubscription.validate({
+            deviceId: data.deviceId,
+            deviceIds: data.deviceIds,
+            groups: data.groups
+        });
+        if (error) {
+            sendError(ws, error.details.map(detail => detail.message).join(', '));
+            return;
+        }
+
+        const deviceIds = [...new Set([...(value.deviceIds || []), ...(value.deviceId ? [value.deviceId] : [])])];
+        const groups = value.groups || [];
+        if (deviceIds.length === 0 && groups.length === 0) {
+            sendError(ws, 'deviceId, deviceIds or groups must be provided');
+            return;
+        }
+
+        const access = await getDeviceAccess(client.user.userId);
+
+        const found = deviceIds.length > 0 ?
+            await Device.find({ deviceId: { $in: deviceIds } }).distinct('deviceId') :
+            [];
+        const missing = deviceIds.filter(deviceId => !found.includes(deviceId));
+        if (missing.length > 0) {
+            sendError(ws, `Devices not found: ${missing.join(', ')}`);
+            return;
+        }
+
+        const denied = access ? deviceIds.filter(deviceId => !access.includes(deviceId)) : [];
+        if (denied.length > 0) {
+            sendError(ws, `You do not have access to devices: ${denied.join(', ')}`);
+            return;
+        }
+
+        for (const group of groups) {
+            const query = { groups: group };
+            if (access) query.deviceId = { $in: access };
+            const members = await Device.find(query).distinct('deviceId');
+            client.groups.set(group, new Set(members));
+        }
+        deviceIds.forEach(deviceId => client.devices.add(deviceId));
+
+        this.updateDeviceSubscribers(ws, client);
+        this.sendSubscriptions(ws, client, 'subscribed', value.deviceId);
+
+        if (data.resumeFrom !== undefined) {
+            this.resume(ws, client, data.resumeFrom);
+        }
+    }
+
+    // Send the buffered events after resumeFrom that the client would have
+    // received with its current subscriptions, then 'resumed'. When events
+    // after resumeFrom are no longer buffered, or resumeFrom was issued by an
+    // earlier server process, the client is told to reload its state with
+    // 'resync_required' instead. Nothing is awaited here, so no live event can
+    // slip between the replay and the live stream.
+    resume(ws, client, resumeFrom) {
+        if (!Number.isSafeInteger(resumeFrom)) {
+            sendError(ws, 'resumeFrom must be an event sequence number');
+            return;
+        }
+
+        const oldest = this.replayBuffer.length > 0 ? this.replayBuffer[0].seq : this.seq + 1;
+        if (resumeFrom > this.seq || resumeFrom < oldest - 1) {
+            ws.send(JSON.stringify({ type: 'resync_required', resumeFrom, seq: this.seq }));
+            return;
+        }
+
+        const severities = this.alertSubscribers.get(ws);
+        for (const event of this.replayBuffer) {
+            if (event.seq <= resumeFrom) continue;
+
+            const isSubscribed = client.subscribed.has(event.deviceId) ||
+                (event.severity && severities !== undefined && (!severities || severities.includes(event.severity)));
+            if (isSubscribed) ws.send(event.payload);
+        }
+
+        ws.send(JSON.stringify({ type: 'resumed', resumeFrom, seq: this.seq }));
+    }
+
+    // Unsubscribe from the listed devices and groups, or from everything when none are listed
+    unsubscribe(ws, client, data) {
+        const { error, value } = deviceSubscription.validate({
+            deviceId: data.deviceId,
+            deviceIds: data.deviceIds,
+            groups: data.groups
+        });
+        if (error) {
+            sendError(ws, error.details.map(detail => detail.message).join(', '));
+            return;
+        }
+
+        const deviceIds = [...(value.deviceIds || []), ...(value.deviceId ? [value.deviceId] : [])];
+        const groups = value.groups || [];
+
+        if (deviceIds.length === 0 && groups.length === 0) {
+            client.devices.clear();
+            client.groups.clear();
+        }
+        deviceIds.forEach(deviceId => client.devices.delete(deviceId));
+        groups.forEach(group => client.groups.delete(group));
+
+        this.updateDeviceSubscribers(ws, client);
+        this.sendSubscriptions(ws, client, 'unsubscribed', value.deviceId);
+    }
+
+    // Send the current fleet snapshot, then deltas through broadcastFleetUpdate
+    async subscribeFleet(ws, rawFilters) {
+        const { error, value: filters } = fleetFilter.validate(rawFilters);
+        if (error) {
+            sendError(ws, error.details.map(detail => detail.message).join(', '));
+            return;
+        }
+
+        const devices = await getFleetSnapshot(filters);
+        this.fleetSubscribers.set(ws, {
+            filters,
+            visible: new Set(devices.map(device => device.deviceId))
+        });
+
+        ws.send(JSON.stringify({
+            type: 'fleet_snapshot',
+            filters,
+            devices
+        }));
+    }
+
+    // Push a device's current fleet entry, if anyone is subscribed to the fleet
+    async publishFleetUpdate(device) {
+        if (this.fleetSubscribers.size === 0) return;
+        this.broadcastFleetUpdate(await getFleetEntry(device));
+    }
+
+    // Push the fields of a device's fleet entry that changed since the last push.
+    // Devices entering a subscriber's filters are sent in full; devices leaving
+    // them are announced with fleet_remove.
+    broadcastFleetUpdate(entry) {
+        const previous = this.fleetState.get(entry.deviceId);
+        this.fleetState.set(entry.deviceId, entry);
+
+        const changes = {};
+        for (const field of FLEET_FIELDS) {
+            if (!previous || JSON.stringify(previous[field]) !== JSON.stringify(entry[field])) {
+                changes[field] = entry[field];
+            }
+        }
+        if (Object.keys(changes).length === 0) return;
+
+        for (const [ws, subscription] of this.fleetSubscribers.entries()) {
+            if (ws.readyState !== 1) continue;
+
+            if (matchesFleetFilter(entry, subscription.filters)) {
+                const isNew = !subscription.visible.has(entry.deviceId);
+                subscription.visible.add(entry.deviceId);
+                ws.send(JSON.stringify({
+                    type: 'fleet_update',
+                    deviceId: entry.deviceId,
+                    changes: isNew ? entry : changes
+                }));
+            } else if (subscription.visible.delete(entry.deviceId)) {
+                ws.send(JSON.stringify({
+                    type: 'fleet_remove',
+                    deviceId: entry.deviceId
+                }));
+            }
+        }
+    }
+
+    // Sockets subscribed to a device, as a new Set that callers may extend
+    deviceRecipients(deviceId) {
+        return new Set(this.deviceSubscribers.get(deviceId));
+    }
+
+    // Number an event, keep it for replay and send it to the recipients.
+    // `severity` marks alerts, which are also replayed to alert subscribers.
+    publish(recipients, message, deviceId, severity) {
+        this.seq += 1;
+        const payload = JSON.stringify({ ...message, seq: this.seq });
+
+        this.replayBuffer.push({ seq: this.seq, deviceId, severity, payload });
+        if (this.replayBuffer.length > REPLAY_BUFFER_SIZE) this.replayBuffer.shift();
+
+        for (const ws of recipients) {
+            if (ws.readyState === 1) ws.send(payload); // 1 = OPEN
+        }
     }
 
     // Broadcast location update to subscribed clients
     broadcastLocation(deviceId, locationData) {
-        const connection = this.connections.get(deviceId);
-        if (connection && connection.readyState === 1) { // 1 = OPEN
-            connection.send(JSON.stringify({
-                type: 'location_update',
-                deviceId,
-                data: locationData
-            }));
+        this.publish(this.deviceRecipients(deviceId), {
+            type: 'location_update',
+            deviceId,
+            data: locationData
+        }, deviceId);
+    }
+
+    // Broadcast a device going online or offline to its subscribers and to
+    // fleet subscribers currently showing the device
+    broadcastDeviceStatus(deviceId, status, details = {}) {
+        const recipients = this.deviceRecipients(deviceId);
+        for (const [ws, subscription] of this.fleetSubscribers.entries()) {
+            if (subscription.visible.has(deviceId)) recipients.add(ws);
         }
+
+        this.publish(recipients, {
+            type: status === 'online' ? 'device_online' : 'device_offline',
+            deviceId,
+            ...details // lastSeenAt, timestamp
+        }, deviceId);
     }
 
-    // Broadcast geofence event
-    broadcastGeofenceEvent(deviceId, eventType, geofence) {
-        const connection = this.connections.get(deviceId);
-        if (connection && connection.readyState === 1) {
-            connection.send(JSON.stringify({
-                type: 'geofence_event',
-                deviceId,
-                eventType, // 'enter' or 'exit'
-                geofence
-            }));
+    // Broadcast a new ('alert') or acknowledged/resolved ('alert_updated') alert
+    // to the device's subscribers and to alert subscribers
+    broadcastAlert(type, alert) {
+        const recipients = this.deviceRecipients(alert.deviceId);
+        for (const [ws, severities] of this.alertSubscribers.entries()) {
+            if (!severities || severities.includes(alert.severity)) recipients.add(ws);
         }
+
+        this.publish(recipients, { type, alert }, alert.deviceId, alert.severity);
+    }
+
+    // Broadcast geofence event
+    broadcastGeofenceEvent(deviceId, eventType, geofence, details = {}) {
+        this.publish(this.deviceRecipients(deviceId), {
+            type: 'geofence_event',
+            deviceId,
+            eventType, // 'enter', 'exit', 'dwell' or 'overstay'
+            geofence,
+            ...details // e.g. duration (seconds) for dwell/overstay/exit
+        }, deviceId);
     }
 }
 
@@ -84,7 +444,12 @@ const wsService = new WebSocketService();
 
 module.exports = {
     setupWebSocket: (wss) => wsService.setupWebSocket(wss),
+    authenticateWebSocket: (req) => wsService.authenticate(req),
     broadcastLocation: (deviceId, data) => wsService.broadcastLocation(deviceId, data),
-    broadcastGeofenceEvent: (deviceId, eventType, geofence) => 
-        wsService.broadcastGeofenceEvent(deviceId, eventType, geofence)
-}; 
\ No newline at end of file
+    broadcastGeofenceEvent: (deviceId, eventType, geofence, details) => 
+        wsService.broadcastGeofenceEvent(deviceId, eventType, geofence, details),
+    broadcastDeviceStatus: (deviceId, status, details) =>
+        wsService.broadcastDeviceStatus(deviceId, status, details),
+    publishFleetUpdate: (device) => wsService.publishFleetUpdate(device),
+    broadcastAlert: (type, alert) => wsService.broadcastAlert(type, alert)
+};
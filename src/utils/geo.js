@@ -0,0 +1,186 @@
+const EARTH_RADIUS = 6371e3; // Earth's radius in meters
+
+const GEOFENCE_SHAPES = ['circle', 'polygon'];
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Calculate distance between two [lng, lat] points in meters
+function calculateDistance(point1, point2) {
+    const [lon1, lat1] = point1;
+    const [lon2, lat2] = point2;
+
+    const φ1 = lat1 * Math.PI/180;
+    const φ2 = lat2 * Math.PI/180;
+    const Δφ = (lat2-lat1) * Math.PI/180;
+    const Δλ = (lon2-lon1) * Math.PI/180;
+
+    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ/2) * Math.sin(Δλ/2);
+
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+    return EARTH_RADIUS * c;
+}
+
+function isValidPosition(position) {
+    return Array.isArray(position) &&
+        position.length >= 2 &&
+        position.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+        position[0] >= -180 && position[0] <= 180 &&
+        position[1] >= -90 && position[1] <= 90;
+}
+
+// Ray casting test against a single linear ring
+function pointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        const intersects = ((yi > y) !== (yj > y)) &&
+            (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+        if (intersects) inside = !inside;
+    }
+
+    return inside;
+}
+
+// A point is inside a polygon when it is inside the outer ring and outside every hole
+function pointInPolygon(point, rings) {
+    if (!rings.length || !pointInRing(point, rings[0])) return false;
+    return !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+function pointInGeometry(point, geometry) {
+    if (geometry.type === 'Polygon') {
+        return pointInPolygon(point, geometry.coordinates);
+    }
+    if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates.some(polygon => pointInPolygon(point, polygon));
+    }
+    return false;
+}
+
+// Check whether a [lng, lat] point lies inside a circular or polygon geofence
+function isPointInGeofence(point, geofence) {
+    if (geofence.shape === 'polygon') {
+        return pointInGeometry(point, geofence.geometry);
+    }
+    return calculateDistance(point, geofence.center.coordinates) <= geofence.radius;
+}
+
+// Distance in meters from a point to the segment a-b, using a local
+// equirectangular projection centred on the point (accurate for geofence scales)
+function distanceToSegment(point, a, b) {
+    const [lng0, lat0] = point;
+    const metersPerDegree = EARTH_RADIUS * Math.PI / 180;
+    const cosLat = Math.cos(lat0 * Math.PI / 180);
+    const project = ([lng, lat]) => [(lng - lng0) * cosLat * metersPerDegree, (lat - lat0) * metersPerDegree];
+
+    const [ax, ay] = project(a);
+    const [bx, by] = project(b);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+function distanceToRings(point, rings) {
+    let min = Infinity;
+    for (const ring of rings) {
+        for (let i = 1; i < ring.length; i++) {
+            min = Math.min(min, distanceToSegment(point, ring[i - 1], ring[i]));
+        }
+    }
+    return min;
+}
+
+// Signed distance in meters from a point to the boundary of a geofence:
+// negative inside, positive outside
+function distanceToGeofenceBoundary(point, geofence) {
+    if (geofence.shape === 'polygon') {
+        const { geometry } = geofence;
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        const distance = Math.min(...polygons.map(rings => distanceToRings(point, rings)));
+        return pointInGeometry(point, geometry) ? -distance : distance;
+    }
+    return calculateDistance(point, geofence.center.coordinates) - geofence.radius;
+}
+
+function validateRing(ring) {
+    if (!Array.isArray(ring) || ring.length < 4) {
+        return 'each polygon ring must contain at least 4 positions';
+    }
+    if (!ring.every(isValidPosition)) {
+        return 'polygon positions must be valid [longitude, latitude] pairs';
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        return 'polygon rings must be closed (first and last positions must match)';
+    }
+    return null;
+}
+
+function validatePolygonRings(rings) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+        return 'a polygon must contain at least one ring';
+    }
+    for (const ring of rings) {
+        const error = validateRing(ring);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Validate a GeoJSON Polygon or MultiPolygon; returns an error message or null
+function validatePolygonGeometry(geometry) {
+    if (!geometry || !POLYGON_TYPES.includes(geometry.type)) {
+        return `geometry.type must be one of: ${POLYGON_TYPES.join(', ')}`;
+    }
+
+    if (geometry.type === 'Polygon') {
+        return validatePolygonRings(geometry.coordinates);
+    }
+
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        return 'a MultiPolygon must contain at least one polygon';
+    }
+    for (const polygon of geometry.coordinates) {
+        const error = validatePolygonRings(polygon);
+        if (error) return error;
+    }
+    return null;
+}
+
+// GeoJSON Polygon covering a [minLng, minLat, maxLng, maxLat] bounding box
+function bboxToPolygon([minLng, minLat, maxLng, maxLat]) {
+    return {
+        type: 'Polygon',
+        coordinates: [[
+            [minLng, minLat],
+            [maxLng, minLat],
+            [maxLng, maxLat],
+            [minLng, maxLat],
+            [minLng, minLat]
+        ]]
+    };
+}
+
+module.exports = {
+    GEOFENCE_SHAPES,
+    POLYGON_TYPES,
+    calculateDistance,
+    isValidPosition,
+    pointInPolygon,
+    pointInGeometry,
+    isPointInGeofence,
+    distanceToGeofenceBoundary,
+    distanceToSegment,
+    validatePolygonGeometry,
+    bboxToPolygon
+};
@@ -0,0 +1,71 @@
+// Ordered processing stages grouped into phases. Each stage is an async
+// function of a shared context object. A failing stage in a critical phase
+// aborts the run; a failing stage anywhere else is logged and recorded in
+// context.errors, and the remaining stages still run.
+class Pipeline {
+    // `phases` lists { name, critical } in the order they run
+    constructor(name, phases) {
+        this.name = name;
+        this.phases = phases.map(phase => ({ ...phase, stages: [] }));
+    }
+
+    findPhase(name) {
+        const phase = this.phases.find(candidate => candidate.name === name);
+        if (!phase) {
+            throw new Error(`Unknown ${this.name} phase: ${name}`);
+        }
+        return phase;
+    }
+
+    // Add a stage to the end of a phase, or before/after a named stage in it.
+    // `critical` overrides the phase's setting for this stage.
+    use(phaseName, name, handler, { before, after, critical } = {}) {
+        const phase = this.findPhase(phaseName);
+        if (this.phases.some(candidate => candidate.stages.some(stage => stage.name === name))) {
+            throw new Error(`Duplicate ${this.name} stage: ${name}`);
+        }
+
+        const stage = { name, handler, critical: critical !== undefined ? critical : phase.critical };
+        const anchor = before || after;
+        if (!anchor) {
+            phase.stages.push(stage);
+            return this;
+        }
+
+        const index = phase.stages.findIndex(candidate => candidate.name === anchor);
+        if (index === -1) {
+            throw new Error(`Unknown ${this.name} stage: ${anchor}`);
+        }
+        phase.stages.splice(before ? index : index + 1, 0, stage);
+        return this;
+    }
+
+    remove(name) {
+        for (const phase of this.phases) {
+            phase.stages = phase.stages.filter(stage => stage.name !== name);
+        }
+        return this;
+    }
+
+    async run(context) {
+        context.errors = context.errors || [];
+
+        for (const phase of this.phases) {
+            for (const stage of phase.stages) {
+                try {
+                    await stage.handler(context);
+                } catch (error) {
+                    if (stage.critical) throw error;
+
+                    console.error(`${this.name} stage ${stage.name} failed:`, error);
+                    context.errors.push({ stage: stage.name, message: error.message });
+                }
+            }
+        }
+        return context;
+    }
+}
+
+module.exports = {
+    Pipeline
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../middleware/error.middleware');
+const Device = require('../models/device.model');
+
+const MAX_PAGE_SIZE = 500;
+
+// Parse page/limit query parameters for offset based pagination
+function parsePagination(query, defaultLimit = 50) {
+    const page = query.page !== undefined ? parseInt(query.page, 10) : 1;
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : defaultLimit;
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ApiError(400, 'page must be a positive integer');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new ApiError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    return { page, limit };
+}
+
+// Parse optional startTime/endTime query parameters
+function parseTimeRange(query) {
+    const { startTime, endTime } = query;
+
+    for (const value of [startTime, endTime]) {
+        if (value && isNaN(new Date(value).getTime())) {
+            throw new ApiError(400, 'startTime and endTime must be valid dates');
+        }
+    }
+
+    if (startTime && endTime && new Date(startTime) > new Date(endTime)) {
+        throw new ApiError(400, 'startTime must be before endTime');
+    }
+
+    return { startTime, endTime };
+}
+
+// Build a MongoDB range condition for a date field
+function buildTimeFilter(startTime, endTime) {
+    if (!startTime && !endTime) return undefined;
+
+    const filter = {};
+    if (startTime) filter.$gte = new Date(startTime);
+    if (endTime) filter.$lte = new Date(endTime);
+    return filter;
+}
+
+// Parse an optional 'true'/'false' query parameter
+function parseBoolean(value, name) {
+    if (value === undefined) return undefined;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new ApiError(400, `${name} must be true or false`);
+}
+
+function assertObjectId(value, label = 'ID') {
+    if (!mongoose.isValidObjectId(value)) {
+        throw new ApiError(400, `Invalid ${label}`);
+    }
+}
+
+// Reject device IDs that are not registered
+async function assertDevicesExist(deviceIds) {
+    if (deviceIds.length === 0) return;
+
+    const found = await Device.find({ deviceId: { $in: deviceIds } }).distinct('deviceId');
+    const missing = deviceIds.filter(deviceId => !found.includes(deviceId));
+    if (missing.length > 0) {
+        throw new ApiError(400, `Unknown devices: ${missing.join(', ')}`);
+    }
+}
+
+module.exports = {
+    parsePagination,
+    parseTimeRange,
+    buildTimeFilter,
+    parseBoolean,
+    assertObjectId,
+    assertDevicesExist
+};
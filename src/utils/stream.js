@@ -0,0 +1,82 @@
+// Write every document of a MongoDB query cursor to the response, respecting
+// backpressure and closing the cursor if the client disconnects.
+// `serialize` turns a document into the chunk to write. Resolves to false when
+// the client went away before the cursor was exhausted.
+async function pipeCursor(cursor, res, serialize) {
+    if (res.destroyed) {
+        await cursor.close().catch(() => {});
+        return false;
+    }
+
+    let aborted = false;
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            aborted = true;
+            cursor.close().catch(() => {});
+        }
+    });
+
+    try {
+        for await (const doc of cursor) {
+            if (aborted) return false;
+
+            if (!res.write(serialize(doc))) {
+                await new Promise(resolve => {
+                    const done = () => {
+                        res.off('drain', done);
+                        res.off('close', done);
+                        resolve();
+                    };
+                    res.on('drain', done);
+                    res.on('close', done);
+                });
+            }
+        }
+    } catch (error) {
+        // Closing the cursor on disconnect interrupts the iteration
+        if (!aborted) throw error;
+    }
+
+    return !aborted;
+}
+
+// Cursor-like wrapper yielding only the documents accepted by `predicate`
+function filterCursor(cursor, predicate) {
+    return {
+        async *[Symbol.asyncIterator]() {
+            for await (const doc of cursor) {
+                if (predicate(doc)) yield doc;
+            }
+        },
+        close: () => cursor.close()
+    };
+}
+
+// Cursor-like wrapper over documents already in memory
+const arrayCursor = (docs) => ({
+    async *[Symbol.asyncIterator]() {
+        yield* docs;
+    },
+    close: async () => {}
+});
+
+// Read a cursor into an array; resolves to null (and closes the cursor)
+// once more than `maxDocs` documents have been read
+async function collectCursor(cursor, maxDocs) {
+    const docs = [];
+    for await (const doc of cursor) {
+        if (docs.length === maxDocs) {
+            await cursor.close();
+            return null;
+        }
+        docs.push(doc);
+    }
+    return docs;
+}
+
+module.exports = {
+    pipeCursor,
+    filterCursor,
+    arrayCursor,
+    collectCursor
+};
@@ -0,0 +1,88 @@
+const { ApiError } = require('../middleware/error.middleware');
+const { distanceToSegment } = require('./geo');
+const { filterCursor, arrayCursor, collectCursor } = require('./stream');
+
+// Most locations buffered to simplify a streamed track
+const MAX_SIMPLIFY_POINTS = parseInt(process.env.TRACK_SIMPLIFY_MAX_POINTS, 10) || 100000;
+
+const locationCoordinates = location => location.location.coordinates;
+
+// Douglas-Peucker simplification of a track. Keeps the points needed so that no
+// dropped point is further than `tolerance` meters from the simplified line.
+// `getCoordinates` maps an item to its [lng, lat] pair.
+function simplifyTrack(points, tolerance, getCoordinates = point => point) {
+    if (points.length <= 2 || !(tolerance > 0)) return points.slice();
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    // Iterative to avoid deep recursion on long tracks
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const a = getCoordinates(points[first]);
+        const b = getCoordinates(points[last]);
+
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(getCoordinates(points[i]), a, b);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
+
+// Predicate keeping the first location seen in each `interval` second time bucket
+function intervalSampler(interval) {
+    const bucketSize = interval * 1000;
+    let lastBucket = null;
+
+    return (location) => {
+        const bucket = Math.floor(new Date(location.timestamp).getTime() / bucketSize);
+        if (bucket === lastBucket) return false;
+        lastBucket = bucket;
+        return true;
+    };
+}
+
+// Downsample a time-ordered list of locations to one per `interval` seconds
+// and/or simplify it with a `simplify` meter tolerance
+function reduceTrack(locations, { interval, simplify } = {}) {
+    const sampled = interval ? locations.filter(intervalSampler(interval)) : locations;
+    return simplify ? simplifyTrack(sampled, simplify, locationCoordinates) : sampled;
+}
+
+// Apply the same reduction to a streamed history. `openCursor` opens a cursor
+// over the window; the returned function opens cursors over the reduced
+// track. Simplification needs the whole track, which is buffered first.
+async function reduceTrackStream(openCursor, { interval, simplify } = {}) {
+    const sampled = interval ?
+        () => filterCursor(openCursor(), intervalSampler(interval)) :
+        openCursor;
+    if (!simplify) return sampled;
+
+    const locations = await collectCursor(sampled(), MAX_SIMPLIFY_POINTS);
+    if (!locations) {
+        throw new ApiError(400, `Too many locations to simplify (more than ${MAX_SIMPLIFY_POINTS}); narrow the time window or add an interval`);
+    }
+
+    const simplified = simplifyTrack(locations, simplify, locationCoordinates);
+    return () => arrayCursor(simplified);
+}
+
+module.exports = {
+    simplifyTrack,
+    reduceTrack,
+    reduceTrackStream
+};
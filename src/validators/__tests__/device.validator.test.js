@@ -0,0 +1,14 @@
+const { statsQuery } = require('../device.validator');
+
+describe('statsQuery', () => {
+    test('accepts a `to` without a `from`', () => {
+        const { error, value } = statsQuery.validate({ to: '2026-01-08T00:00:00Z' });
+        expect(error).toBeUndefined();
+        expect(value.to).toEqual(new Date('2026-01-08T00:00:00Z'));
+    });
+
+    test('rejects a `to` before the `from`', () => {
+        const { error } = statsQuery.validate({ from: '2026-01-08T00:00:00Z', to: '2026-01-01T00:00:00Z' });
+        expect(error.details[0].path).toEqual(['to']);
+    });
+});
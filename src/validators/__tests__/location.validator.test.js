@@ -0,0 +1,33 @@
+const { historyQuery, exportQuery } = require('../location.validator');
+
+describe('historyQuery', () => {
+    test('accepts an endTime without a startTime', () => {
+        const { error, value } = historyQuery.validate({ endTime: '2026-01-01T00:00:00Z' });
+        expect(error).toBeUndefined();
+        expect(value.endTime).toEqual(new Date('2026-01-01T00:00:00Z'));
+    });
+
+    test('rejects an endTime before the startTime', () => {
+        const { error } = historyQuery.validate({
+            startTime: '2026-01-02T00:00:00Z',
+            endTime: '2026-01-01T00:00:00Z'
+        });
+        expect(error.details[0].path).toEqual(['endTime']);
+    });
+});
+
+describe('exportQuery', () => {
+    test('accepts an endTime without a startTime', () => {
+        const { error } = exportQuery.validate({ format: 'gpx', endTime: '2026-01-01T00:00:00Z' });
+        expect(error).toBeUndefined();
+    });
+
+    test('rejects an endTime before the startTime', () => {
+        const { error } = exportQuery.validate({
+            format: 'gpx',
+            startTime: '2026-01-02T00:00:00Z',
+            endTime: '2026-01-01T00:00:00Z'
+        });
+        expect(error.details[0].path).toEqual(['endTime']);
+    });
+});
@@ -0,0 +1,78 @@
+const Joi = require('joi');
+const AlertRule = require('../models/alert-rule.model');
+const { schedule } = require('./geofence.validator');
+
+// Condition fields of each rule type; fields of other types are forbidden
+const CONDITION_FIELDS = {
+    speeding: ['speedLimit', 'duration'],
+    metadata: ['metadataKey', 'operator', 'threshold'],
+    curfew: ['schedule', 'minSpeed'],
+    zone: ['geofenceId']
+};
+
+const forType = (type, schema) => Joi.when('type', {
+    is: type,
+    then: schema,
+    otherwise: Joi.forbidden()
+});
+
+const ruleFields = {
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().allow('').max(500),
+    type: Joi.string().valid(...AlertRule.RULE_TYPES).required(),
+    severity: Joi.string().valid(...AlertRule.SEVERITIES),
+    enabled: Joi.boolean(),
+    cooldown: Joi.number().min(0),
+    devices: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    groups: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    speedLimit: forType('speeding', Joi.number().positive().required()),
+    duration: forType('speeding', Joi.number().min(0)),
+    metadataKey: forType('metadata', Joi.string().trim().min(1).required()),
+    operator: forType('metadata', Joi.string().valid(...AlertRule.OPERATORS).required()),
+    threshold: forType('metadata', Joi.alternatives().try(Joi.number(), Joi.string()).required()),
+    schedule: forType('curfew', schedule.required()),
+    minSpeed: forType('curfew', Joi.number().min(0)),
+    geofenceId: forType('zone', Joi.string().hex().length(24).required()
+        .messages({ 'string.hex': 'geofenceId must be a valid ID', 'string.length': 'geofenceId must be a valid ID' }))
+};
+
+const createAlertRule = Joi.object(ruleFields);
+
+// Any rule field except the type; the merged rule is validated with createAlertRule
+const updateAlertRule = Joi.object(
+    Object.fromEntries(Object.keys(ruleFields)
+        .filter(field => field !== 'type')
+        .map(field => [field, Joi.any()]))
+).min(1).messages({ 'object.min': 'At least one field must be provided' });
+
+// Merge a partial update into an existing rule and validate the result
+function mergeRuleUpdate(current, update) {
+    const merged = { type: current.type };
+    const fields = ['name', 'description', 'severity', 'enabled', 'cooldown', 'devices', 'groups', ...CONDITION_FIELDS[current.type]];
+
+    for (const field of fields) {
+        const value = update[field] !== undefined ? update[field] : current[field];
+        if (value === undefined || value === null) continue;
+        merged[field] = field === 'geofenceId' ? value.toString() : value;
+    }
+    if (merged.schedule && typeof merged.schedule.toObject === 'function') {
+        merged.schedule = merged.schedule.toObject();
+    }
+    if (Array.isArray(merged.devices)) merged.devices = [...merged.devices];
+    if (Array.isArray(merged.groups)) merged.groups = [...merged.groups];
+
+    return createAlertRule.validate(merged, { abortEarly: false, stripUnknown: true });
+}
+
+// Note recorded when an alert is acknowledged or resolved
+const alertAction = Joi.object({
+    note: Joi.string().trim().max(500)
+});
+
+module.exports = {
+    CONDITION_FIELDS,
+    createAlertRule,
+    updateAlertRule,
+    mergeRuleUpdate,
+    alertAction
+};
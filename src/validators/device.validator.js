@@ -0,0 +1,115 @@
+const Joi = require('joi');
+const { polygonGeometry } = require('./geofence.validator');
+
+// Largest radius, in meters, accepted by the nearby search
+const MAX_NEARBY_RADIUS = 100000;
+
+// Groups a device belongs to; shared geofences assigned to a group apply to its devices
+const groups = Joi.array().items(Joi.string());
+
+// Minutes without a fix before a device is marked offline
+const offlineTimeout = Joi.number().min(1);
+
+const registerDevice = Joi.object({
+    deviceId: Joi.string().required(),
+    name: Joi.string().required(),
+    groups: groups.default([]),
+    offlineTimeout
+});
+
+const updateDeviceGroups = Joi.object({
+    groups: groups.required()
+});
+
+// null restores the default DEVICE_OFFLINE_TIMEOUT
+const updateOfflineTimeout = Joi.object({
+    offlineTimeout: offlineTimeout.allow(null).required()
+});
+
+const nearbyQuery = Joi.object({
+    lng: Joi.number().min(-180).max(180).required(),
+    lat: Joi.number().min(-90).max(90).required(),
+    radius: Joi.number().positive().max(MAX_NEARBY_RADIUS).default(1000),
+    group: Joi.string(),
+    limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// [minLng, minLat, maxLng, maxLat]
+const bbox = Joi.array()
+    .ordered(
+        Joi.number().min(-180).max(180).required(),
+        Joi.number().min(-90).max(90).required(),
+        Joi.number().min(-180).max(180).required(),
+        Joi.number().min(-90).max(90).required()
+    )
+    .length(4)
+    .custom((value, helpers) => {
+        const [minLng, minLat, maxLng, maxLat] = value;
+        if (minLng >= maxLng || minLat >= maxLat) {
+            return helpers.message('bbox must be [minLng, minLat, maxLng, maxLat]');
+        }
+        return value;
+    });
+
+// Bounding box given as an array or, in query strings, as "minLng,minLat,maxLng,maxLat"
+const bboxParam = Joi.alternatives().try(
+    bbox,
+    Joi.string().custom((value, helpers) => {
+        const { error, value: parsed } = bbox.validate(value.split(',').map(Number));
+        return error ? helpers.message('bbox must be "minLng,minLat,maxLng,maxLat"') : parsed;
+    })
+);
+
+// Area given as a GeoJSON (Multi)Polygon or a bounding box. With a time
+// window the search runs over the location history instead of last locations.
+const withinQuery = Joi.object({
+    geometry: polygonGeometry,
+    bbox,
+    group: Joi.string(),
+    startTime: Joi.date(),
+    endTime: Joi.date().min(Joi.ref('startTime'))
+})
+    .xor('geometry', 'bbox')
+    .and('startTime', 'endTime');
+
+// Filters for the fleet snapshot and the WebSocket fleet subscription
+const fleetFilter = Joi.object({
+    group: Joi.string(),
+    status: Joi.string().valid('online', 'offline'),
+    bbox: bboxParam
+});
+
+// Devices and groups named in WebSocket subscribe/unsubscribe messages
+const deviceSubscription = Joi.object({
+    deviceId: Joi.string(),
+    deviceIds: Joi.array().items(Joi.string()).unique(),
+    groups: Joi.array().items(Joi.string()).unique()
+});
+
+const statsQuery = Joi.object({
+    from: Joi.date(),
+    // Without `from` the window is the 7 days before `to`
+    to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+    interval: Joi.string().valid('hour', 'day', 'week', 'month').default('day'),
+    timezone: Joi.string()
+        .custom((value, helpers) => {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+                return value;
+            } catch (error) {
+                return helpers.message('timezone must be a valid IANA timezone');
+            }
+        })
+        .default('UTC')
+});
+
+module.exports = {
+    registerDevice,
+    updateDeviceGroups,
+    updateOfflineTimeout,
+    nearbyQuery,
+    withinQuery,
+    fleetFilter,
+    deviceSubscription,
+    statsQuery
+};
@@ -0,0 +1,146 @@
+const Joi = require('joi');
+const { GEOFENCE_SHAPES, POLYGON_TYPES, validatePolygonGeometry } = require('../utils/geo');
+
+const SHAPE_FIELDS = ['radius', 'center', 'geometry'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (value, helpers) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+    } catch (error) {
+        return helpers.message('schedule.timezone must be a valid IANA timezone');
+    }
+};
+
+const position = Joi.array()
+    .ordered(
+        Joi.number().min(-180).max(180).required(),
+        Joi.number().min(-90).max(90).required()
+    )
+    .messages({ 'array.base': '{{#label}} must be a [longitude, latitude] pair' });
+
+const polygonGeometry = Joi.object({
+    type: Joi.string().valid(...POLYGON_TYPES).required(),
+    coordinates: Joi.array().required()
+}).custom((value, helpers) => {
+    const error = validatePolygonGeometry(value);
+    return error ? helpers.message(`geometry is invalid: ${error}`) : value;
+});
+
+const schedule = Joi.object({
+    days: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).default([0, 1, 2, 3, 4, 5, 6]),
+    startTime: Joi.string().pattern(TIME_OF_DAY).required()
+        .messages({ 'string.pattern.base': 'schedule.startTime must be in HH:mm format' }),
+    endTime: Joi.string().pattern(TIME_OF_DAY).required()
+        .messages({ 'string.pattern.base': 'schedule.endTime must be in HH:mm format' }),
+    timezone: Joi.string().custom(isValidTimezone).default('UTC')
+});
+
+// Shape of a geofence: circle (center + radius) or GeoJSON (Multi)Polygon
+const shapeSchema = Joi.object({
+    shape: Joi.string().valid(...GEOFENCE_SHAPES).default('circle'),
+    radius: Joi.when('shape', {
+        is: 'circle',
+        then: Joi.number().positive().required(),
+        otherwise: Joi.forbidden()
+    }),
+    center: Joi.when('shape', {
+        is: 'circle',
+        then: Joi.object({
+            type: Joi.string().valid('Point').default('Point'),
+            coordinates: position.required()
+        }).required(),
+        otherwise: Joi.forbidden()
+    }),
+    geometry: Joi.when('shape', {
+        is: 'polygon',
+        then: polygonGeometry.required(),
+        otherwise: Joi.forbidden()
+    })
+});
+
+const commonFields = {
+    name: Joi.string().trim().min(1).max(100),
+    enabled: Joi.boolean(),
+    schedule: schedule.allow(null),
+    hysteresis: Joi.number().min(0).allow(null),
+    dwellTime: Joi.number().positive().allow(null),
+    maxDwellTime: Joi.number().positive().allow(null)
+        .when('dwellTime', {
+            is: Joi.number().required(),
+            then: Joi.number().greater(Joi.ref('dwellTime'))
+        })
+};
+
+const sharedFields = {
+    description: Joi.string().trim().allow('').max(500)
+};
+
+const assignmentFields = {
+    devices: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    groups: Joi.array().items(Joi.string().trim().min(1)).unique()
+};
+
+// Shape fields are only type-checked on update; the merged result is validated with shapeSchema
+const shapeUpdateFields = {
+    shape: Joi.string().valid(...GEOFENCE_SHAPES),
+    radius: Joi.number().positive(),
+    center: Joi.object({
+        type: Joi.string().valid('Point').default('Point'),
+        coordinates: position.required()
+    }),
+    geometry: polygonGeometry
+};
+
+const createDeviceGeofence = shapeSchema.keys({
+    ...commonFields,
+    name: commonFields.name.required()
+});
+
+const updateDeviceGeofence = Joi.object({
+    ...commonFields,
+    ...shapeUpdateFields
+}).min(1).messages({ 'object.min': 'At least one field must be provided' });
+
+const createGeofence = createDeviceGeofence.keys({
+    ...sharedFields,
+    ...assignmentFields
+});
+
+const updateGeofence = updateDeviceGeofence.keys(sharedFields);
+
+const assignGeofence = Joi.object(assignmentFields)
+    .or('devices', 'groups')
+    .messages({ 'object.missing': 'devices or groups must be provided' });
+
+// Merge a partial update into an existing geofence and validate the resulting shape.
+// Fields of the previous shape are dropped when the shape type changes.
+function mergeShapeUpdate(current, update) {
+    const shape = update.shape || current.shape || 'circle';
+    const merged = { shape };
+
+    for (const field of SHAPE_FIELDS) {
+        if (update[field] !== undefined) {
+            merged[field] = update[field];
+        } else if (shape === current.shape && current[field] !== undefined) {
+            merged[field] = current[field];
+        }
+    }
+
+    return shapeSchema.validate(merged, { abortEarly: false, stripUnknown: true });
+}
+
+const hasShapeUpdate = (update) => ['shape', ...SHAPE_FIELDS].some(field => update[field] !== undefined);
+
+module.exports = {
+    polygonGeometry,
+    schedule,
+    createDeviceGeofence,
+    updateDeviceGeofence,
+    createGeofence,
+    updateGeofence,
+    assignGeofence,
+    mergeShapeUpdate,
+    hasShapeUpdate
+};
@@ -0,0 +1,123 @@
+const Joi = require('joi');
+const Location = require('../models/location.model');
+const formats = require('../formats');
+
+const MAX_BATCH_SIZE = parseInt(process.env.LOCATION_BATCH_MAX, 10) || 1000;
+// How far ahead of server time a device clock may be, in seconds
+const MAX_FUTURE_SKEW = parseInt(process.env.LOCATION_MAX_FUTURE_SKEW, 10) || 5 * 60;
+// Oldest fix accepted, in days; older data would be removed by the TTL index anyway
+const MAX_FIX_AGE_DAYS = parseInt(process.env.MAX_LOCATION_HISTORY_DAYS, 10) || 30;
+
+// Reject device timestamps that are too far in the future or older than the retention window
+const withinSkewBounds = (value, helpers) => {
+    const now = Date.now();
+    if (value.getTime() > now + MAX_FUTURE_SKEW * 1000) {
+        return helpers.message(`timestamp cannot be more than ${MAX_FUTURE_SKEW} seconds in the future`);
+    }
+    if (value.getTime() < now - MAX_FIX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+        return helpers.message(`timestamp cannot be older than ${MAX_FIX_AGE_DAYS} days`);
+    }
+    return value;
+};
+
+// A single GPS fix as reported by a device
+const locationFix = Joi.object({
+    coordinates: Joi.array()
+        .ordered(
+            Joi.number().min(-180).max(180).required(),
+            Joi.number().min(-90).max(90).required()
+        )
+        .length(2)
+        .required()
+        .messages({
+            'array.length': 'coordinates must be a [longitude, latitude] pair',
+            'any.required': 'coordinates are required'
+        }),
+    altitude: Joi.number(),
+    speed: Joi.number().min(0),
+    accuracy: Joi.number().min(0),
+    // Time the fix was recorded: ISO 8601 string or epoch milliseconds
+    timestamp: Joi.date().custom(withinSkewBounds),
+    metadata: Joi.object().pattern(
+        Joi.string(),
+        Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())
+    )
+});
+
+// A historical fix from an imported file: the recorded time is required
+const importedFix = locationFix.fork(['timestamp'], schema => schema.required());
+
+const locationBatch = Joi.object({
+    locations: Joi.array().items(Joi.any()).min(1).max(MAX_BATCH_SIZE).required()
+});
+
+const DEFAULT_HISTORY_PAGE = 1000;
+const MAX_HISTORY_PAGE = 10000;
+
+// Optional track reduction shared by the history and export endpoints
+const trackReduction = {
+    // Douglas-Peucker tolerance in meters
+    simplify: Joi.number().positive(),
+    // Keep at most one location per this many seconds
+    interval: Joi.number().positive()
+};
+
+// End of a time window, bounded below by startTime only when one is given
+const endTime = Joi.date().when('startTime', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('startTime'))
+});
+
+const historyQuery = Joi.object({
+    startTime: Joi.date(),
+    endTime,
+    // Defaults to DEFAULT_HISTORY_PAGE for paged responses; streams are unbounded unless set
+    limit: Joi.number().integer().min(1).max(MAX_HISTORY_PAGE),
+    cursor: Joi.string(),
+    order: Joi.string().valid('asc', 'desc').default('desc'),
+    // Comma separated list of fields to return
+    fields: Joi.string()
+        .custom((value, helpers) => {
+            const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+            const unknown = fields.filter(field => !Location.SELECTABLE_FIELDS.includes(field));
+            if (unknown.length > 0) {
+                return helpers.message(`Unknown fields: ${unknown.join(', ')}`);
+            }
+            return fields;
+        }),
+    format: Joi.string().valid('json', 'ndjson').default('json'),
+    ...trackReduction
+});
+
+// Pages of the location points returned with a trip, oldest first
+const tripPointsQuery = Joi.object({
+    limit: Joi.number().integer().min(1).max(MAX_HISTORY_PAGE).default(DEFAULT_HISTORY_PAGE),
+    cursor: Joi.string()
+});
+
+const exportQuery = Joi.object({
+    format: Joi.string().valid(...Object.keys(formats)).required(),
+    startTime: Joi.date(),
+    endTime,
+    ...trackReduction
+});
+
+const IMPORT_FORMATS = Object.keys(formats).filter(name => formats[name].parse);
+
+// Omitted format is inferred from the upload's Content-Type
+const importQuery = Joi.object({
+    format: Joi.string().valid(...IMPORT_FORMATS)
+});
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    locationFix,
+    importedFix,
+    locationBatch,
+    historyQuery,
+    tripPointsQuery,
+    exportQuery,
+    importQuery,
+    IMPORT_FORMATS,
+    DEFAULT_HISTORY_PAGE
+};
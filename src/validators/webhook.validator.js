@@ -0,0 +1,26 @@
+const Joi = require('joi');
+const Webhook = require('../models/webhook.model');
+
+const webhookFields = {
+    name: Joi.string().trim().min(1).max(100),
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] })
+        .messages({ 'string.uriCustomScheme': 'url must be an http or https URL' }),
+    events: Joi.array().items(Joi.string().valid(...Webhook.WEBHOOK_EVENTS)).min(1).unique(),
+    devices: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    groups: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    secret: Joi.string().min(16).max(256),
+    enabled: Joi.boolean()
+};
+
+// The secret is generated when not provided
+const createWebhook = Joi.object(webhookFields)
+    .fork(['name', 'url', 'events'], field => field.required());
+
+const updateWebhook = Joi.object(webhookFields)
+    .min(1)
+    .messages({ 'object.min': 'At least one field must be provided' });
+
+module.exports = {
+    createWebhook,
+    updateWebhook
+};